@@ -0,0 +1,33 @@
+// Loader for the embeddable ROI calculator. On the partner page:
+//
+//   <div id="roi-calculator"></div>
+//   <script src="https://<API host>/embed.js" data-key="emb_..." data-target="#roi-calculator" async></script>
+//
+// The calculator runs in an iframe served by the API server, which only lets the key's allowed
+// origins frame it. Its events reach the page as `message` events ({ source: 'roi-calculator',
+// type, ... }) and are also dispatched on the container as DOM events named
+// `roi-calculator:<type>`, with the message as `detail`.
+;(() => {
+  const script = document.currentScript
+  const key = script?.dataset.key
+  if (!key) return console.error('roi-calculator: data-key is missing on the embed script')
+  const appOrigin = new URL(script.src).origin
+  const container = (script.dataset.target && document.querySelector(script.dataset.target)) || script.parentNode
+
+  const iframe = document.createElement('iframe')
+  iframe.src = `${appOrigin}/embed/${encodeURIComponent(key)}/frame`
+  iframe.title = script.dataset.title || 'ROI calculator'
+  iframe.style.width = '100%'
+  iframe.style.border = '0'
+  iframe.style.height = `${Number(script.dataset.height) || 640}px`
+  if (container === script.parentNode) container.insertBefore(iframe, script.nextSibling)
+  else container.appendChild(iframe)
+
+  window.addEventListener('message', event => {
+    if (event.source !== iframe.contentWindow || event.origin !== appOrigin) return
+    const message = event.data
+    if (!message || message.source !== 'roi-calculator') return
+    if (message.type === 'resize' && message.height > 0) iframe.style.height = `${Math.ceil(message.height)}px`
+    container.dispatchEvent(new CustomEvent(`roi-calculator:${message.type}`, { detail: message, bubbles: true }))
+  })
+})()
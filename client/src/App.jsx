@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 
 const API_BASE = 'http://localhost:4000'
 
@@ -12,43 +12,276 @@ const initial = {
   error_cost: '',
   time_horizon_months: '',
   one_time_implementation_cost: '',
+  ramp_up_months: '',
+  monthly_volume_growth_pct: '',
+  annual_wage_inflation_pct: '',
+  annual_discount_rate_pct: '',
+  currency: 'USD',
+  locale: 'en-US',
 }
 
+const currencies = ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD', 'SGD', 'JPY']
+
+const locales = [
+  ['en-US', 'English (US)'],
+  ['en-GB', 'English (UK)'],
+  ['en-IN', 'English (India)'],
+  ['de-DE', 'Deutsch'],
+  ['fr-FR', 'Français'],
+  ['es-ES', 'Español'],
+  ['ja-JP', '日本語'],
+]
+
+const moneyFormat = (currency = 'USD', locale = 'en-US', maximumFractionDigits = 2) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits })
+
+const currencySymbol = (currency, locale) =>
+  moneyFormat(currency, locale).formatToParts(0).find(p => p.type === 'currency')?.value || currency
+
+const compareMetrics = [
+  ['net_savings', 'Net Savings'],
+  ['roi_percentage', 'ROI'],
+  ['npv', 'NPV'],
+  ['irr_percentage', 'IRR'],
+  ['payback_months', 'Payback'],
+  ['break_even_month', 'Break-even Month'],
+  ['monthly_savings', 'Monthly Savings'],
+]
+
+// Inputs the goal-seek solver can vary, and the metrics it can target
+const solveFields = [
+  ['monthly_invoice_volume', 'Monthly Invoice Volume'],
+  ['num_ap_staff', 'AP Staff'],
+  ['avg_hours_per_invoice', 'Hours per Invoice'],
+  ['hourly_wage', 'Hourly Wage'],
+  ['error_rate_manual', 'Manual Error Rate (%)'],
+  ['error_cost', 'Error Cost'],
+  ['time_horizon_months', 'Time Horizon (months)'],
+  ['one_time_implementation_cost', 'One-time Implementation Cost'],
+  ['ramp_up_months', 'Ramp-up (months)'],
+  ['monthly_volume_growth_pct', 'Volume Growth (%/month)'],
+  ['annual_wage_inflation_pct', 'Wage Inflation (%/year)'],
+  ['annual_discount_rate_pct', 'Discount Rate (%/year)'],
+]
+
+const solveTargets = [
+  ['roi_percentage', 'ROI (%)'],
+  ['payback_months', 'Payback (months)'],
+  ['break_even_month', 'Break-even Month'],
+  ['net_savings', 'Net Savings'],
+  ['monthly_savings', 'Monthly Savings'],
+  ['npv', 'NPV'],
+]
+
+// Inputs a simulation cannot run without
+const requiredFields = ['monthly_invoice_volume', 'num_ap_staff', 'avg_hours_per_invoice', 'hourly_wage', 'error_rate_manual', 'error_cost', 'time_horizon_months']
+
+const moneyFields = ['hourly_wage', 'error_cost', 'one_time_implementation_cost', 'net_savings', 'monthly_savings', 'npv']
+
+const ledgerFields = [
+  ['date', 'Date'],
+  ['amount', 'Amount'],
+  ['processed_by', 'Processed by'],
+  ['processing_time', 'Processing time'],
+  ['exception', 'Exception flag'],
+]
+
+// Session token and selected workspace live in localStorage so a reload keeps the user signed in
+const authHeaders = () => {
+  const token = localStorage.getItem('token')
+  const workspaceId = localStorage.getItem('workspaceId')
+  return {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(workspaceId ? { 'x-workspace-id': workspaceId } : {}),
+  }
+}
+
+const api = (path, options = {}) =>
+  fetch(`${API_BASE}${path}`, { ...options, headers: { ...authHeaders(), ...options.headers } })
+
+const optionalNumber = v => (v === '' || v === null || v === undefined ? undefined : Number(v))
+
+// Minimal history-based routing: navigate() pushes a path, usePath() re-renders on change
+const navigate = to => {
+  window.history.pushState(null, '', to)
+  window.dispatchEvent(new PopStateEvent('popstate'))
+}
+
+const usePath = () => {
+  const [path, setPath] = useState(window.location.pathname)
+  useEffect(() => {
+    const onChange = () => setPath(window.location.pathname)
+    window.addEventListener('popstate', onChange)
+    return () => window.removeEventListener('popstate', onChange)
+  }, [])
+  return path
+}
+
+// Form state lives in the calculator URL (?monthly_invoice_volume=...&scenario=<id>) so any
+// calculation can be bookmarked, and in a localStorage draft that survives reloads
+const draftKey = 'draft'
+
+const formFromQuery = () => {
+  const params = new URLSearchParams(window.location.search)
+  const keys = Object.keys(initial).filter(k => params.has(k))
+  if (!keys.length) return null
+  return {
+    inputs: { ...initial, ...Object.fromEntries(keys.map(k => [k, params.get(k)])) },
+    editingId: params.get('scenario'),
+  }
+}
+
+const formFromDraft = () => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(draftKey))
+    return draft?.inputs ? { inputs: { ...initial, ...draft.inputs }, editingId: draft.editingId || null } : null
+  } catch (e) {
+    return null
+  }
+}
+
+const formQuery = (inputs, editingId) => {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(inputs)) {
+    if (value !== '' && value != null) params.set(key, value)
+  }
+  if (editingId) params.set('scenario', editingId)
+  return params.toString()
+}
+
+// Server validation errors ({ errors: [{ field, message }] }) keyed by field, first message wins
+const errorsByField = data =>
+  (data?.errors || []).reduce((acc, e) => (acc[e.field] ? acc : { ...acc, [e.field]: e.message }), {})
+
+// The inputs that have a value, as numbers; empty fields are left to the server's defaults
+const filledInputs = inputs =>
+  Object.fromEntries(
+    Object.entries(inputs)
+      .filter(([key, value]) => key !== 'scenario_name' && value !== '')
+      .map(([key, value]) => [key, key === 'currency' || key === 'locale' ? value : Number(value)])
+  )
+
+// Chart export: charts are plain SVG with inline attributes, so they serialize standalone
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+const svgMarkup = svg => {
+  const copy = svg.cloneNode(true)
+  const { width, height } = svg.viewBox.baseVal
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  copy.setAttribute('width', width)
+  copy.setAttribute('height', height)
+  return new XMLSerializer().serializeToString(copy)
+}
+
+const exportSvg = (svg, filename) =>
+  downloadBlob(new Blob([svgMarkup(svg)], { type: 'image/svg+xml' }), `${filename}.svg`)
+
+// Rasterizes at 2x on a white background
+const exportPng = (svg, filename) => {
+  const { width, height } = svg.viewBox.baseVal
+  const url = URL.createObjectURL(new Blob([svgMarkup(svg)], { type: 'image/svg+xml' }))
+  const image = new Image()
+  image.onload = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = width * 2
+    canvas.height = height * 2
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+    URL.revokeObjectURL(url)
+    canvas.toBlob(blob => downloadBlob(blob, `${filename}.png`), 'image/png')
+  }
+  image.src = url
+}
+
+// Roughly `count` round tick values from 0 to at least max
+const niceTicks = (max, count = 4) => {
+  if (!(max > 0)) return [0, 1]
+  const raw = max / count
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)))
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= raw)
+  const ticks = []
+  for (let v = 0; v < max + step; v += step) ticks.push(v)
+  return ticks
+}
+
+const chartFont = 'ui-sans-serif, system-ui, sans-serif'
+
 export default function App() {
-  const [inputs, setInputs] = useState(initial)
+  const [token, setToken] = useState(() => localStorage.getItem('token'))
+  const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem('workspaceId'))
+  const [account, setAccount] = useState(null)
+  const path = usePath()
+  const [restored] = useState(() => formFromQuery() || formFromDraft())
+  const [inputs, setInputs] = useState(restored?.inputs || initial)
   const [results, setResults] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [fieldErrors, setFieldErrors] = useState({})
   const [scenarios, setScenarios] = useState([])
   const [showEmail, setShowEmail] = useState(false)
   const [email, setEmail] = useState('')
+  const [consent, setConsent] = useState(false)
+  const [sendEmail, setSendEmail] = useState(false)
+  const [presets, setPresets] = useState([])
+  const [presetId, setPresetId] = useState('')
+  const [auditMode, setAuditMode] = useState('')
+  const [variationPct, setVariationPct] = useState(20)
+  const [sensitivity, setSensitivity] = useState(null)
+  const [solveFor, setSolveFor] = useState('monthly_invoice_volume')
+  const [solveMetric, setSolveMetric] = useState('payback_months')
+  const [solveTarget, setSolveTarget] = useState('12')
+  const [solution, setSolution] = useState(null)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [compareMetric, setCompareMetric] = useState('net_savings')
+  const [comparison, setComparison] = useState(null)
+  const [editingId, setEditingId] = useState(restored?.editingId || null)
+  const [revisionNote, setRevisionNote] = useState('')
+  const [ledgerFile, setLedgerFile] = useState(null)
+  const [ledgerUnit, setLedgerUnit] = useState('minutes')
+  const [ledgerMapping, setLedgerMapping] = useState({})
+  const [ledgerImport, setLedgerImport] = useState(null)
+  const [shares, setShares] = useState(null)
+
+  // Mirror the form into the calculator URL and the draft on every change
+  useEffect(() => {
+    localStorage.setItem(draftKey, JSON.stringify({ inputs, editingId }))
+    if (window.location.pathname !== '/') return
+    const query = formQuery(inputs, editingId)
+    window.history.replaceState(null, '', query ? `/?${query}` : '/')
+  }, [inputs, editingId, path])
 
   const refreshAll = async () => {
-    setInputs({
-      scenario_name: '',
-      monthly_invoice_volume: '',
-      num_ap_staff: '',
-      avg_hours_per_invoice: '',
-      hourly_wage: '',
-      error_rate_manual: '',
-      error_cost: '',
-      time_horizon_months: '',
-      one_time_implementation_cost: '',
-    })
+    setInputs(initial)
+    setEditingId(null)
+    setRevisionNote('')
     setResults(null)
     await loadScenarios()
   }
 
   const formatted = useMemo(() => {
     if (!results) return null
-    const nf = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 2 })
-    const n = v => v.toLocaleString('en-US', { maximumFractionDigits: 2 })
+    const nf = moneyFormat(inputs.currency, inputs.locale)
+    const n = v => v.toLocaleString(inputs.locale, { maximumFractionDigits: 2 })
     return {
       monthly_savings: nf.format(results.monthly_savings),
-      payback_months: n(results.payback_months),
+      payback_months: results.payback_months == null ? 'Never' : n(results.payback_months),
       roi_percentage: `${n(results.roi_percentage)}%`,
       cumulative_savings: nf.format(results.cumulative_savings),
+      npv: nf.format(results.npv),
+      irr_percentage: results.irr_percentage == null ? 'n/a' : `${n(results.irr_percentage)}%`,
+      break_even_month: results.break_even_month == null ? 'Not within horizon' : n(results.break_even_month),
     }
-  }, [results])
+  }, [results, inputs.currency, inputs.locale])
 
   useEffect(() => {
     const controller = new AbortController()
@@ -73,30 +306,30 @@ export default function App() {
         time_horizon_months,
       ]
       const allSet = required.every(v => v !== '' && v !== null && v !== undefined)
-      if (!allSet) {
+      if (!allSet || !token) {
         setResults(null)
         return
       }
       setLoading(true)
       try {
-        const res = await fetch(`${API_BASE}/simulate`, {
+        const res = await api(`/simulate`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            ...inputs,
-            monthly_invoice_volume: Number(inputs.monthly_invoice_volume),
-            num_ap_staff: Number(inputs.num_ap_staff),
-            avg_hours_per_invoice: Number(inputs.avg_hours_per_invoice),
-            hourly_wage: Number(inputs.hourly_wage),
-            error_rate_manual: Number(inputs.error_rate_manual),
-            error_cost: Number(inputs.error_cost),
-            time_horizon_months: Number(inputs.time_horizon_months),
-            one_time_implementation_cost: inputs.one_time_implementation_cost === '' ? 0 : Number(inputs.one_time_implementation_cost),
+            ...toNumericPayload(inputs),
+            include_timeline: true,
+            ...(auditMode ? { audit_mode: auditMode } : {}),
           }),
           signal: controller.signal,
         })
         const data = await res.json()
-        setResults(data)
+        if (res.ok) {
+          setResults(data)
+          setFieldErrors(prev => (prev.scenario_name ? { scenario_name: prev.scenario_name } : {}))
+        } else {
+          setResults(null)
+          setFieldErrors(prev => ({ ...errorsByField(data), ...(prev.scenario_name ? { scenario_name: prev.scenario_name } : {}) }))
+        }
       } catch (e) {
         // ignore for prototype
       } finally {
@@ -105,11 +338,14 @@ export default function App() {
     }
     run()
     return () => controller.abort()
-  }, [inputs])
+  }, [inputs, token, workspaceId, auditMode])
+
+  const symbol = currencySymbol(inputs.currency, inputs.locale)
 
   const handleChange = e => {
     const { name, value } = e.target
     setInputs(prev => ({ ...prev, [name]: name === 'scenario_name' ? value : value }))
+    if (name === 'scenario_name') setFieldErrors(({ scenario_name, ...rest }) => rest)
   }
 
   const toNumericPayload = (src) => ({
@@ -121,26 +357,91 @@ export default function App() {
     error_cost: Number(src.error_cost),
     time_horizon_months: Number(src.time_horizon_months),
     one_time_implementation_cost: src.one_time_implementation_cost === '' ? 0 : Number(src.one_time_implementation_cost),
+    ramp_up_months: optionalNumber(src.ramp_up_months),
+    monthly_volume_growth_pct: optionalNumber(src.monthly_volume_growth_pct),
+    annual_wage_inflation_pct: optionalNumber(src.annual_wage_inflation_pct),
+    annual_discount_rate_pct: optionalNumber(src.annual_discount_rate_pct),
+    currency: src.currency,
+    locale: src.locale,
   })
 
   const saveScenario = async () => {
     if (!inputs.scenario_name || inputs.scenario_name.trim() === '') {
-      alert('Please enter a Scenario Name before saving.')
+      setFieldErrors(prev => ({ ...prev, scenario_name: 'Please enter a Scenario Name before saving.' }))
       return
     }
     const { scenario_name } = inputs
     const payload = toNumericPayload(inputs)
-    const res = await fetch(`${API_BASE}/scenarios`, {
-      method: 'POST',
+    const res = await api(editingId ? `/scenarios/${editingId}` : '/scenarios', {
+      method: editingId ? 'PUT' : 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ scenario_name, ...payload }),
+      body: JSON.stringify({ scenario_name, ...payload, note: revisionNote || undefined }),
     })
     if (res.ok) {
+      const doc = await res.json()
+      setEditingId(doc._id)
+      setRevisionNote('')
       await loadScenarios()
     } else {
       const err = await res.json().catch(() => ({}))
-      alert(err?.error || 'Failed to save scenario')
+      if (err?.errors) setFieldErrors(errorsByField(err))
+      else alert(err?.error || 'Failed to save scenario')
+    }
+  }
+
+  const loadScenario = async id => {
+    const res = await api(`/scenarios/${id}`)
+    const data = await res.json()
+    if (!res.ok) {
+      alert(data?.error || 'Failed to load scenario')
+      return
     }
+    const next = { ...initial, scenario_name: data.scenarioName }
+    for (const key of Object.keys(initial)) {
+      if (data.inputs?.[key] != null) next[key] = String(data.inputs[key])
+    }
+    setInputs(next)
+    setEditingId(data._id)
+    setRevisionNote('')
+    navigate('/')
+  }
+
+  const deleteScenario = async id => {
+    if (!window.confirm('Delete this scenario and its share links?')) return
+    const res = await api(`/scenarios/${id}`, { method: 'DELETE' })
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}))
+      alert(err?.error || 'Failed to delete scenario')
+      return
+    }
+    if (editingId === id) setEditingId(null)
+    setSelectedIds(prev => prev.filter(x => x !== id))
+    setShares(prev => (prev?.scenarioId === id ? null : prev))
+    await loadScenarios()
+    if (window.location.pathname !== '/scenarios') navigate('/scenarios')
+  }
+
+  const importLedger = async () => {
+    if (!ledgerFile) return alert('Choose a CSV or XLSX export first')
+    const form = new FormData()
+    form.append('file', ledgerFile)
+    form.append('processing_time_unit', ledgerUnit)
+    form.append('mapping', JSON.stringify(ledgerMapping))
+    const res = await api(`/ledger/import`, { method: 'POST', body: form })
+    const data = await res.json()
+    if (!res.ok) {
+      alert(data?.error || 'Failed to import ledger')
+      return
+    }
+    setLedgerImport(data)
+    setLedgerMapping(Object.fromEntries(Object.entries(data.columns || {}).map(([k, v]) => [k, v || ''])))
+    setInputs(prev => {
+      const next = { ...prev }
+      for (const [key, value] of Object.entries(data.inputs || {})) {
+        if (value != null) next[key] = String(value)
+      }
+      return next
+    })
   }
 
   const downloadBase64 = (base64, filename, mime = 'application/octet-stream') => {
@@ -158,18 +459,12 @@ export default function App() {
     if (!email) return alert('Please enter your email')
     const payload = {
       email,
-      inputs: {
-        monthly_invoice_volume: Number(inputs.monthly_invoice_volume),
-        num_ap_staff: Number(inputs.num_ap_staff),
-        avg_hours_per_invoice: Number(inputs.avg_hours_per_invoice),
-        hourly_wage: Number(inputs.hourly_wage),
-        error_rate_manual: Number(inputs.error_rate_manual),
-        error_cost: Number(inputs.error_cost),
-        time_horizon_months: Number(inputs.time_horizon_months),
-        one_time_implementation_cost: inputs.one_time_implementation_cost === '' ? 0 : Number(inputs.one_time_implementation_cost),
-      }
+      consent,
+      send_email: sendEmail,
+      inputs: toNumericPayload(inputs),
+      ...(auditMode ? { audit_mode: auditMode } : {}),
     }
-    const res = await fetch(`${API_BASE}/report/generate`, {
+    const res = await api(`/report/generate`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
@@ -178,109 +473,638 @@ export default function App() {
     if (res.ok && data?.base64) {
       downloadBase64(data.base64, data.filename || 'roi_report.pdf', data.mime || 'application/pdf')
       setShowEmail(false)
+      if (data.email_job) alert(`The report is also on its way to ${data.email_job.to}`)
     } else {
       alert(data?.error || 'Failed to generate report')
     }
   }
 
+  const runSensitivity = async () => {
+    const res = await api(`/simulate/sensitivity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...toNumericPayload(inputs), variation_pct: Number(variationPct) }),
+    })
+    const data = await res.json()
+    if (res.ok) {
+      setSensitivity(data)
+    } else {
+      alert(data?.error || 'Failed to run sensitivity analysis')
+    }
+  }
+
+  const runSolve = async () => {
+    const res = await api(`/simulate/solve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...toNumericPayload(inputs),
+        solve_for: solveFor,
+        target: { metric: solveMetric, value: Number(solveTarget) },
+      }),
+    })
+    const data = await res.json()
+    if (res.ok) {
+      setSolution(data)
+    } else {
+      setSolution(null)
+      alert(data?.error || 'Failed to solve')
+    }
+  }
+
+  const applySolution = () => {
+    const { solve_for, value } = solution
+    const rounded = solve_for === 'time_horizon_months' ? value : Math.round(value * 100) / 100
+    setInputs(prev => ({ ...prev, [solve_for]: String(rounded) }))
+    setSolution(null)
+  }
+
+  const toggleSelected = id => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]))
+  }
+
+  const compareSelected = async () => {
+    const res = await api(`/scenarios/compare`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: selectedIds, metric: compareMetric }),
+    })
+    const data = await res.json()
+    if (res.ok) {
+      setComparison(data)
+    } else {
+      alert(data?.error || 'Failed to compare scenarios')
+    }
+  }
+
   const loadScenarios = async () => {
-    const res = await fetch(`${API_BASE}/scenarios`)
+    const res = await api(`/scenarios`)
+    if (res.status === 401) return logout()
     if (res.ok) {
       const data = await res.json()
       setScenarios(data)
     }
   }
 
+  const loadPresets = async () => {
+    const res = await api(`/presets`)
+    if (res.ok) setPresets((await res.json()).presets)
+  }
+
+  // Fills in every input the preset sets and keeps the rest of the form
+  const applyPreset = id => {
+    setPresetId(id)
+    const preset = presets.find(p => p.id === id)
+    if (!preset) return
+    setInputs(prev => {
+      const next = { ...prev }
+      for (const [key, value] of Object.entries(preset.inputs)) {
+        if (value != null) next[key] = String(value)
+      }
+      return next
+    })
+  }
+
+  const savePreset = async () => {
+    const name = prompt('Template name')
+    if (!name) return
+    const presetInputs = filledInputs(inputs)
+    const res = await api(`/presets`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, inputs: presetInputs }),
+    })
+    const data = await res.json()
+    if (!res.ok) return alert(data?.error || 'Failed to save template')
+    await loadPresets()
+    setPresetId(data.id)
+  }
+
+  const deletePreset = async () => {
+    if (!confirm('Delete this template for everyone in the workspace?')) return
+    const res = await api(`/presets/${presetId}`, { method: 'DELETE' })
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}))
+      return alert(data?.error || 'Failed to delete template')
+    }
+    setPresetId('')
+    loadPresets()
+  }
+
+  const openScenarioReport = async id => {
+    const res = await api(`/scenarios/${id}/report.pdf${auditMode ? `?audit_mode=${auditMode}` : ''}`)
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}))
+      alert(err?.error || 'Failed to generate report')
+      return
+    }
+    const url = URL.createObjectURL(await res.blob())
+    window.open(url, '_blank')
+    setTimeout(() => URL.revokeObjectURL(url), 60000)
+  }
+
+  const loadShares = async scenarioId => {
+    const res = await api(`/scenarios/${scenarioId}/shares`)
+    const data = await res.json()
+    if (res.ok) setShares({ scenarioId, links: data, created: null })
+    else alert(data?.error || 'Failed to load share links')
+  }
+
+  const createShare = async scenarioId => {
+    const days = window.prompt('Expire after how many days? Leave empty for no expiry.', '30')
+    if (days === null) return
+    const password = window.prompt('Password for the link? Leave empty for none.', '')
+    if (password === null) return
+    const res = await api(`/scenarios/${scenarioId}/shares`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        expires_in_days: days.trim() === '' ? undefined : Number(days),
+        password: password === '' ? undefined : password,
+      }),
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      alert(data?.error || 'Failed to create share link')
+      return
+    }
+    await loadShares(scenarioId)
+    setShares(prev => ({ ...prev, created: `${window.location.origin}/shared/${data.token}` }))
+  }
+
+  const revokeShare = async link => {
+    const res = await api(`/shares/${link.id}`, { method: 'DELETE' })
+    if (res.ok) await loadShares(link.scenario)
+    else alert('Failed to revoke share link')
+  }
+
+  const signIn = (newToken, user) => {
+    localStorage.setItem('token', newToken)
+    localStorage.setItem('workspaceId', user.defaultWorkspace)
+    setWorkspaceId(user.defaultWorkspace)
+    setToken(newToken)
+  }
+
+  const logout = () => {
+    localStorage.removeItem('token')
+    localStorage.removeItem('workspaceId')
+    localStorage.removeItem(draftKey)
+    setInputs(initial)
+    setEditingId(null)
+    setToken(null)
+    setWorkspaceId(null)
+    setAccount(null)
+    setScenarios([])
+  }
+
+  const switchWorkspace = id => {
+    localStorage.setItem('workspaceId', id)
+    setWorkspaceId(id)
+    setSelectedIds([])
+    setComparison(null)
+    setEditingId(null)
+  }
+
   useEffect(() => {
-    loadScenarios()
-  }, [])
+    if (!token) return
+    const loadAccount = async () => {
+      const res = await api('/auth/me')
+      if (res.status === 401) return logout()
+      if (res.ok) setAccount(await res.json())
+    }
+    loadAccount()
+  }, [token])
+
+  useEffect(() => {
+    if (token) loadScenarios()
+  }, [token, workspaceId])
+
+  useEffect(() => {
+    setPresetId('')
+    if (token) loadPresets()
+  }, [token, workspaceId])
+
+  // Typical range of an input in the chosen preset. Money ranges only apply in the preset's currency.
+  const preset = presets.find(p => p.id === presetId)
+  const benchmarkRange = name => {
+    const range = preset?.ranges?.[name]
+    if (!range) return null
+    if (moneyFields.includes(name) && preset.inputs.currency && preset.inputs.currency !== inputs.currency) return null
+    const value = inputs[name] === '' ? null : Number(inputs[name])
+    const position = value == null ? null : value < range[0] ? 'below' : value > range[1] ? 'above' : 'within'
+    return { range, position }
+  }
+
+  const scenarioId = path.match(/^\/scenarios\/([^/]+)$/)?.[1]
+  const role = account?.workspaces.find(w => w.id === workspaceId)?.role
+  const canEdit = role === 'editor' || role === 'admin'
+
+  if (!token) return <Login onSignIn={signIn} />
 
   return (
     <div className="min-h-screen bg-slate-50">
       <header className="bg-white shadow">
         <div className="mx-auto max-w-6xl px-4 py-4 flex items-center justify-between">
-          <h1 className="text-xl font-semibold">Invoicing ROI Simulator</h1>
+          <div className="flex items-center gap-6">
+            <h1 className="text-xl font-semibold">Invoicing ROI Simulator</h1>
+            <nav className="flex gap-4 text-sm">
+              {[['/', 'Calculator'], ['/scenarios', 'Scenarios']].map(([to, label]) => (
+                <a
+                  key={to}
+                  href={to}
+                  onClick={e => {
+                    e.preventDefault()
+                    navigate(to)
+                  }}
+                  className={(to === '/' ? path === '/' : path.startsWith(to)) ? 'font-semibold text-indigo-700' : 'text-slate-600'}
+                >
+                  {label}
+                </a>
+              ))}
+            </nav>
+          </div>
           <div className="flex gap-2">
-            <button
-              onClick={saveScenario}
-              disabled={!inputs.scenario_name || inputs.scenario_name.trim() === ''}
-              className={`px-3 py-2 rounded ${(!inputs.scenario_name || inputs.scenario_name.trim() === '') ? 'bg-indigo-300 text-white cursor-not-allowed' : 'bg-indigo-600 text-white'}`}
-            >
-              Save Scenario
-            </button>
-            <button onClick={openReport} className="px-3 py-2 border rounded">Download Report</button>
-            <button onClick={refreshAll} className="px-3 py-2 border rounded">Refresh</button>
+            {account && (
+              <select
+                className="border rounded px-2 py-2 text-sm"
+                value={workspaceId || ''}
+                onChange={e => switchWorkspace(e.target.value)}
+              >
+                {account.workspaces.map(w => (
+                  <option key={w.id} value={w.id}>{w.name} ({w.role})</option>
+                ))}
+              </select>
+            )}
+            {path === '/' && (
+              <>
+                <button
+                  onClick={saveScenario}
+                  disabled={!canEdit || !inputs.scenario_name || inputs.scenario_name.trim() === ''}
+                  className={`px-3 py-2 rounded ${(!canEdit || !inputs.scenario_name || inputs.scenario_name.trim() === '') ? 'bg-indigo-300 text-white cursor-not-allowed' : 'bg-indigo-600 text-white'}`}
+                >
+                  {editingId ? 'Update Scenario' : 'Save Scenario'}
+                </button>
+                {editingId && (
+                  <button onClick={() => setEditingId(null)} className="px-3 py-2 border rounded">Save as New</button>
+                )}
+                <button onClick={openReport} disabled={!canEdit} className="px-3 py-2 border rounded disabled:opacity-50">Download Report</button>
+                <button onClick={refreshAll} className="px-3 py-2 border rounded">Refresh</button>
+              </>
+            )}
+            <button onClick={logout} className="px-3 py-2 border rounded">Log out</button>
           </div>
         </div>
       </header>
 
       <main className="mx-auto max-w-6xl px-4 py-6 grid grid-cols-1 md:grid-cols-2 gap-6">
-        <section className="bg-white p-4 rounded shadow">
-          <h2 className="font-medium mb-3">Inputs</h2>
+        {path === '/' && (
+          <>
+            <section className="bg-white p-4 rounded shadow">
+              <h2 className="font-medium mb-3">Inputs</h2>
+              {editingId && (
+                <label className="flex flex-col text-sm mb-3">
+                  <span className="mb-1 text-slate-700">Editing a saved scenario. Revision note</span>
+                  <input
+                    className="border rounded px-3 py-2"
+                    value={revisionNote}
+                    onChange={e => setRevisionNote(e.target.value)}
+                    placeholder="optional"
+                  />
+                </label>
+              )}
 
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-            {[
-              ['scenario_name', 'Scenario Name', 'text', 'e.g., Q4_Pilot'],
-              ['monthly_invoice_volume', 'Monthly Invoice Volume', 'number', 'e.g., 2000'],
-              ['num_ap_staff', 'AP Staff', 'number', 'e.g., 3'],
-              ['avg_hours_per_invoice', 'Hours per Invoice', 'number', 'e.g., 0.17'],
-              ['hourly_wage', 'Hourly Wage ($)', 'number', 'e.g., 30'],
-              ['error_rate_manual', 'Manual Error Rate (%)', 'number', 'e.g., 0.5'],
-              ['error_cost', 'Error Cost ($)', 'number', 'e.g., 100'],
-              ['time_horizon_months', 'Time Horizon (months)', 'number', 'e.g., 36'],
-              ['one_time_implementation_cost', 'One-time Implementation ($)', 'number', 'optional'],
-            ].map(([name, label, type]) => (
-              <label key={name} className="flex flex-col text-sm">
-                <span className="mb-1 text-slate-700">{label}</span>
+              <div className="mb-4 text-sm flex flex-wrap items-center gap-2">
+                <span className="text-slate-700">Start from</span>
+                <select className="border rounded px-2 py-1" value={presetId} onChange={e => applyPreset(e.target.value)}>
+                  <option value="">an industry benchmark…</option>
+                  <optgroup label="Industry benchmarks">
+                    {presets.filter(p => p.source === 'benchmark').map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </optgroup>
+                  {presets.some(p => p.source === 'custom') && (
+                    <optgroup label="Workspace templates">
+                      {presets.filter(p => p.source === 'custom').map(p => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+                {role === 'admin' && <button onClick={savePreset} className="px-2 py-1 border rounded">Save as template</button>}
+                {role === 'admin' && preset?.source === 'custom' && (
+                  <button onClick={deletePreset} className="px-2 py-1 border rounded text-rose-700">Delete template</button>
+                )}
+                {preset?.description && <span className="w-full text-slate-500">{preset.description}</span>}
+              </div>
+
+              <details className="mb-4 text-sm border rounded p-3">
+                <summary className="cursor-pointer text-slate-700">Import from invoice ledger (CSV/XLSX)</summary>
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  <input type="file" accept=".csv,.xlsx,text/csv" onChange={e => setLedgerFile(e.target.files?.[0] || null)} />
+                  <select className="border rounded px-2 py-1" value={ledgerUnit} onChange={e => setLedgerUnit(e.target.value)}>
+                    <option value="minutes">Times in minutes</option>
+                    <option value="hours">Times in hours</option>
+                  </select>
+                  <button onClick={importLedger} className="px-3 py-1 bg-indigo-600 text-white rounded">Import</button>
+                </div>
+                {ledgerImport && (
+                  <div className="mt-3 space-y-2">
+                    <div className="text-slate-600">
+                      {ledgerImport.stats.rows} rows over {ledgerImport.stats.months} month(s). Matching fields were filled in below.
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      {ledgerFields.map(([field, label]) => (
+                        <label key={field} className="flex flex-col">
+                          <span className="text-slate-600">{label} column</span>
+                          <input
+                            className="border rounded px-2 py-1"
+                            value={ledgerMapping[field] || ''}
+                            onChange={e => setLedgerMapping(prev => ({ ...prev, [field]: e.target.value }))}
+                            placeholder="not found"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                    {ledgerImport.warnings.length > 0 && (
+                      <ul className="list-disc pl-5 text-amber-700">
+                        {ledgerImport.warnings.map(w => (
+                          <li key={`${w.code}-${w.message}`}>{w.message}{w.count != null ? ` (${w.count})` : ''}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </details>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {[
+                  ['scenario_name', 'Scenario Name', 'text', 'e.g., Q4_Pilot'],
+                  ['monthly_invoice_volume', 'Monthly Invoice Volume', 'number', 'e.g., 2000'],
+                  ['num_ap_staff', 'AP Staff', 'number', 'e.g., 3'],
+                  ['avg_hours_per_invoice', 'Hours per Invoice', 'number', 'e.g., 0.17'],
+                  ['hourly_wage', `Hourly Wage (${symbol})`, 'number', 'e.g., 30'],
+                  ['error_rate_manual', 'Manual Error Rate (%)', 'number', 'e.g., 0.5'],
+                  ['error_cost', `Error Cost (${symbol})`, 'number', 'e.g., 100'],
+                  ['time_horizon_months', 'Time Horizon (months)', 'number', 'e.g., 36'],
+                  ['one_time_implementation_cost', `One-time Implementation (${symbol})`, 'number', 'optional'],
+                  ['ramp_up_months', 'Ramp-up (months)', 'number', 'optional'],
+                  ['monthly_volume_growth_pct', 'Volume Growth (%/month)', 'number', 'optional'],
+                  ['annual_wage_inflation_pct', 'Wage Inflation (%/year)', 'number', 'optional'],
+                  ['annual_discount_rate_pct', 'Discount Rate (%/year)', 'number', 'optional'],
+                ].map(([name, label, type]) => (
+                  <label key={name} className="flex flex-col text-sm">
+                    <span className="mb-1 text-slate-700">{label}</span>
+                    <input
+                      className={`border rounded px-3 py-2 ${fieldErrors[name] ? 'border-rose-500' : ''}`}
+                      name={name}
+                      type={type}
+                      value={inputs[name]}
+                      onChange={handleChange}
+                      placeholder={arguments[0]?.[3]}
+                      aria-invalid={Boolean(fieldErrors[name])}
+                    />
+                    {fieldErrors[name] && <span className="mt-1 text-xs text-rose-600">{fieldErrors[name]}</span>}
+                    {!fieldErrors[name] && benchmarkRange(name) && (
+                      <BenchmarkNote {...benchmarkRange(name)} locale={inputs.locale} />
+                    )}
+                  </label>
+                ))}
+                <label className="flex flex-col text-sm">
+                  <span className="mb-1 text-slate-700">Currency</span>
+                  <select className="border rounded px-3 py-2" name="currency" value={inputs.currency} onChange={handleChange}>
+                    {currencies.map(c => (
+                      <option key={c} value={c}>{c}</option>
+                    ))}
+                  </select>
+                  {fieldErrors.currency && <span className="mt-1 text-xs text-rose-600">{fieldErrors.currency}</span>}
+                </label>
+                <label className="flex flex-col text-sm">
+                  <span className="mb-1 text-slate-700">Number Format</span>
+                  <select className="border rounded px-3 py-2" name="locale" value={inputs.locale} onChange={handleChange}>
+                    {locales.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {fieldErrors.locale && <span className="mt-1 text-xs text-rose-600">{fieldErrors.locale}</span>}
+                </label>
+              </div>
+            </section>
+
+            <section className="bg-white p-4 rounded shadow">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="font-medium">Results</h2>
+                <label className="flex items-center gap-2 text-sm">
+                  <span className="text-slate-600">Audit mode</span>
+                  <select className="border rounded px-2 py-1" value={auditMode} onChange={e => setAuditMode(e.target.value)}>
+                    <option value="">Off</option>
+                    <option value="disclose">Show adjustments</option>
+                    <option value="neutral">Remove adjustments</option>
+                  </select>
+                </label>
+              </div>
+              {!results && (
+                <div className="text-slate-500">
+                  {Object.keys(fieldErrors).some(k => k !== 'scenario_name') ? 'Fix the highlighted inputs to see results.' : 'Enter inputs to see results…'}
+                </div>
+              )}
+              {results && (
+                <div className="space-y-3">
+                  {results.audit?.negative_roi && (
+                    <div className="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
+                      Negative ROI: without adjustments, automation costs more than it saves over this horizon.
+                    </div>
+                  )}
+                  <Metric label="Monthly Savings" value={formatted?.monthly_savings || '-'} loading={loading} />
+                  <Metric label="Payback (months)" value={formatted?.payback_months || '-'} loading={loading} />
+                  <Metric label="ROI (horizon)" value={formatted?.roi_percentage || '-'} loading={loading} />
+                  <Metric label="Cumulative Savings" value={formatted?.cumulative_savings || '-'} loading={loading} />
+                  <Metric label="NPV" value={formatted?.npv || '-'} loading={loading} />
+                  <Metric label="IRR (annualized)" value={formatted?.irr_percentage || '-'} loading={loading} />
+                  <Metric label="Break-even Month" value={formatted?.break_even_month || '-'} loading={loading} />
+                  {results.audit && <AuditPanel audit={results.audit} currency={inputs.currency} locale={inputs.locale} />}
+                  {results.timeline && (
+                    <CumulativeChart
+                      timeline={results.timeline}
+                      implementationCost={Number(inputs.one_time_implementation_cost) || 0}
+                      breakEvenMonth={results.break_even_month}
+                      currency={inputs.currency}
+                      locale={inputs.locale}
+                    />
+                  )}
+                  {results.manual_labor_cost != null && (
+                    <CompositionChart results={results} currency={inputs.currency} locale={inputs.locale} />
+                  )}
+                  {results.manual_labor_cost != null && (
+                    <Breakdown results={results} currency={inputs.currency} locale={inputs.locale} />
+                  )}
+                </div>
+              )}
+            </section>
+
+            <section className="md:col-span-2 bg-white p-4 rounded shadow">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="font-medium">Sensitivity</h2>
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-slate-600">Vary each input by ±</span>
+                  <input
+                    className="border rounded px-2 py-1 w-20"
+                    type="number"
+                    value={variationPct}
+                    onChange={e => setVariationPct(e.target.value)}
+                  />
+                  <span className="text-slate-600">%</span>
+                  <button
+                    onClick={runSensitivity}
+                    disabled={!results}
+                    className={`px-3 py-1 rounded ${results ? 'bg-indigo-600 text-white' : 'bg-indigo-300 text-white cursor-not-allowed'}`}
+                  >
+                    Run
+                  </button>
+                </div>
+              </div>
+              {!sensitivity && <div className="text-slate-500 text-sm">Run an analysis to see which inputs move net savings the most.</div>}
+              {sensitivity && <Tornado data={sensitivity} currency={inputs.currency} locale={inputs.locale} />}
+            </section>
+
+            <section className="md:col-span-2 bg-white p-4 rounded shadow">
+              <h2 className="font-medium mb-3">Solve for…</h2>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-slate-600">Find the</span>
+                <select className="border rounded px-2 py-1" value={solveFor} onChange={e => setSolveFor(e.target.value)}>
+                  {solveFields.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <span className="text-slate-600">that gives</span>
+                <select className="border rounded px-2 py-1" value={solveMetric} onChange={e => setSolveMetric(e.target.value)}>
+                  {solveTargets.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <span className="text-slate-600">of</span>
                 <input
-                  className="border rounded px-3 py-2"
-                  name={name}
-                  type={type}
-                  value={inputs[name]}
-                  onChange={handleChange}
-                  placeholder={arguments[0]?.[3]}
+                  className="border rounded px-2 py-1 w-28"
+                  type="number"
+                  value={solveTarget}
+                  onChange={e => setSolveTarget(e.target.value)}
                 />
-              </label>
-            ))}
-          </div>
-        </section>
+                <button onClick={runSolve} disabled={solveTarget === ''} className="px-3 py-1 bg-indigo-600 text-white rounded">
+                  Solve
+                </button>
+              </div>
+              {solution && <Solution data={solution} currency={inputs.currency} locale={inputs.locale} onApply={applySolution} />}
+            </section>
+          </>
+        )}
 
-        <section className="bg-white p-4 rounded shadow">
-          <h2 className="font-medium mb-3">Results</h2>
-          {!results && <div className="text-slate-500">Enter inputs to see results…</div>}
-          {results && (
-            <div className="space-y-3">
-              <Metric label="Monthly Savings" value={formatted?.monthly_savings || '-'} loading={loading} />
-              <Metric label="Payback (months)" value={formatted?.payback_months || '-'} loading={loading} />
-              <Metric label="ROI (horizon)" value={formatted?.roi_percentage || '-'} loading={loading} />
-              <Metric label="Cumulative Savings" value={formatted?.cumulative_savings || '-'} loading={loading} />
+        {path === '/scenarios' && (
+          <section className="md:col-span-2 bg-white p-4 rounded shadow">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="font-medium">Saved Scenarios</h2>
+              <div className="flex items-center gap-2 text-sm">
+                <select className="border rounded px-2 py-1" value={compareMetric} onChange={e => setCompareMetric(e.target.value)}>
+                  {compareMetrics.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={compareSelected}
+                  disabled={selectedIds.length < 2}
+                  className={`px-3 py-1 rounded ${selectedIds.length < 2 ? 'bg-indigo-300 text-white cursor-not-allowed' : 'bg-indigo-600 text-white'}`}
+                >
+                  Compare ({selectedIds.length})
+                </button>
+              </div>
             </div>
-          )}
-        </section>
-
-        <section className="md:col-span-2 bg-white p-4 rounded shadow">
-          <h2 className="font-medium mb-3">Saved Scenarios</h2>
-          <div className="overflow-x-auto">
-            <table className="min-w-full text-sm">
-              <thead>
-                <tr className="text-left text-slate-600">
-                  <th className="py-2 pr-4">Name</th>
-                  <th className="py-2 pr-4">Monthly Savings</th>
-                  <th className="py-2 pr-4">Created</th>
-                </tr>
-              </thead>
-              <tbody>
-                {scenarios.map(s => (
-                  <tr key={s._id} className="border-t">
-                    <td className="py-2 pr-4">{s.scenarioName}</td>
-                    <td className="py-2 pr-4">${s.results?.monthly_savings?.toLocaleString?.()}</td>
-                    <td className="py-2 pr-4">{new Date(s.createdAt).toLocaleString()}</td>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-600">
+                    <th className="py-2 pr-4"></th>
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Monthly Savings</th>
+                    <th className="py-2 pr-4">Created</th>
+                    <th className="py-2 pr-4"></th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </section>
+                </thead>
+                <tbody>
+                  {scenarios.map(s => (
+                    <tr key={s._id} className="border-t">
+                      <td className="py-2 pr-4">
+                        <input type="checkbox" checked={selectedIds.includes(s._id)} onChange={() => toggleSelected(s._id)} />
+                      </td>
+                      <td className="py-2 pr-4">
+                        <a
+                          href={`/scenarios/${s._id}`}
+                          onClick={e => {
+                            e.preventDefault()
+                            navigate(`/scenarios/${s._id}`)
+                          }}
+                          className="text-indigo-700 hover:underline"
+                        >
+                          {s.scenarioName}
+                        </a>
+                      </td>
+                      <td className="py-2 pr-4">
+                        {s.results?.monthly_savings != null ? moneyFormat(s.results.currency).format(s.results.monthly_savings) : '-'}
+                      </td>
+                      <td className="py-2 pr-4">{new Date(s.createdAt).toLocaleString()}</td>
+                      <td className="py-2 pr-4">
+                        <button onClick={() => loadScenario(s._id)} className="px-2 py-1 border rounded">
+                          {editingId === s._id ? 'Editing' : 'Load'}
+                        </button>
+                        <button onClick={() => openScenarioReport(s._id)} className="ml-2 px-2 py-1 border rounded">
+                          PDF
+                        </button>
+                        <button onClick={() => loadShares(s._id)} className="ml-2 px-2 py-1 border rounded">
+                          Share
+                        </button>
+                        {canEdit && (
+                          <button onClick={() => deleteScenario(s._id)} className="ml-2 px-2 py-1 border rounded text-rose-700">
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {comparison && <Comparison data={comparison} onClose={() => setComparison(null)} />}
+            {shares && (
+              <SharesPanel
+                shares={shares}
+                canEdit={canEdit}
+                onCreate={createShare}
+                onRevoke={revokeShare}
+                onClose={() => setShares(null)}
+              />
+            )}
+          </section>
+        )}
+
+        {scenarioId && (
+          <ScenarioDetail
+            key={`${scenarioId}-${workspaceId}`}
+            id={scenarioId}
+            canEdit={canEdit}
+            shares={shares?.scenarioId === scenarioId ? shares : null}
+            onOpen={loadScenario}
+            onDelete={deleteScenario}
+            onReport={openScenarioReport}
+            onShare={loadShares}
+            onCreateShare={createShare}
+            onRevokeShare={revokeShare}
+            onCloseShares={() => setShares(null)}
+          />
+        )}
+
+        {path !== '/' && path !== '/scenarios' && !scenarioId && (
+          <section className="md:col-span-2 bg-white p-4 rounded shadow text-slate-600">
+            Page not found.{' '}
+            <a href="/" onClick={e => { e.preventDefault(); navigate('/') }} className="text-indigo-700">Back to the calculator</a>
+          </section>
+        )}
       </main>
 
       {showEmail && (
@@ -294,6 +1118,14 @@ export default function App() {
               onChange={e => setEmail(e.target.value)}
               type="email"
             />
+            <label className="flex items-start gap-2 text-sm text-slate-600 mb-3">
+              <input type="checkbox" className="mt-1" checked={consent} onChange={e => setConsent(e.target.checked)} />
+              <span>I agree to be contacted about invoicing automation.</span>
+            </label>
+            <label className="flex items-start gap-2 text-sm text-slate-600 mb-3">
+              <input type="checkbox" className="mt-1" checked={sendEmail} onChange={e => setSendEmail(e.target.checked)} />
+              <span>Also email the PDF to this address.</span>
+            </label>
             <div className="flex justify-end gap-2">
               <button onClick={closeReport} className="px-3 py-2 border rounded">Cancel</button>
               <button onClick={submitReport} className="px-3 py-2 bg-indigo-600 text-white rounded">Generate</button>
@@ -305,6 +1137,17 @@ export default function App() {
   )
 }
 
+function BenchmarkNote({ range, position, locale }) {
+  const n = v => v.toLocaleString(locale, { maximumFractionDigits: 2 })
+  const text = `Benchmark ${n(range[0])}–${n(range[1])}`
+  if (!position) return <span className="mt-1 text-xs text-slate-500">{text}</span>
+  return (
+    <span className={`mt-1 text-xs ${position === 'within' ? 'text-emerald-700' : 'text-amber-700'}`}>
+      {text}: {position === 'within' ? 'within range' : `${position} range`}
+    </span>
+  )
+}
+
 function Metric({ label, value, loading }) {
   return (
     <div className="flex items-center justify-between">
@@ -314,4 +1157,898 @@ function Metric({ label, value, loading }) {
   )
 }
 
+// Audit mode: the adjustments behind the figures, and the figures with and without them
+function AuditPanel({ audit, currency, locale }) {
+  const nf = moneyFormat(currency, locale)
+  const n = v => v.toLocaleString(locale, { maximumFractionDigits: 2 })
+  const months = v => (v == null ? 'Never' : n(v))
+  const pct = v => (v == null ? 'n/a' : `${n(v)}%`)
+  const rows = [
+    ['Monthly Savings', r => nf.format(r.monthly_savings)],
+    ['Cumulative Savings', r => nf.format(r.cumulative_savings)],
+    ['Net Savings', r => nf.format(r.net_savings)],
+    ['NPV', r => nf.format(r.npv)],
+    ['IRR (annualized)', r => pct(r.irr_percentage)],
+    ['Payback (months)', r => months(r.payback_months)],
+    ['Break-even Month', r => months(r.break_even_month)],
+    ['ROI (horizon)', r => pct(r.roi_percentage)],
+  ]
+  return (
+    <div className="border-t pt-3 text-sm">
+      <h3 className="font-medium mb-1">Adjustments</h3>
+      <p className="text-slate-600 mb-2">
+        {audit.adjustments_applied
+          ? 'The figures above include these adjustments.'
+          : 'The figures above leave these adjustments out.'}
+      </p>
+      <ul className="list-disc pl-5 mb-3 text-slate-700">
+        {audit.adjustments.map(a => (
+          <li key={a.id}>
+            {a.description} ({a.months_affected} {a.months_affected === 1 ? 'month' : 'months'} affected)
+          </li>
+        ))}
+      </ul>
+      <table className="min-w-full">
+        <thead>
+          <tr className="text-left text-slate-600">
+            <th className="py-1 pr-4 font-normal"></th>
+            <th className="py-1 pr-4 font-normal text-right">Without</th>
+            <th className="py-1 font-normal text-right">With</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label} className="border-t">
+              <td className="py-1 pr-4 text-slate-600">{label}</td>
+              <td className="py-1 pr-4 text-right">{value(audit.raw)}</td>
+              <td className="py-1 text-right">{value(audit.adjusted)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Monthly cost per side at the starting volume, plus the staff time automation frees
+function Breakdown({ results, currency, locale }) {
+  const nf = moneyFormat(currency, locale, 0)
+  const n = v => v.toLocaleString(locale, { maximumFractionDigits: 1 })
+  const manualTotal = results.manual_labor_cost + results.manual_error_cost
+  const automatedTotal = results.automated_processing_cost + results.automated_error_cost
+  const rows = [
+    ['Processing labor', results.manual_labor_cost, null],
+    ['Error handling', results.manual_error_cost, null],
+    ['Automated processing', null, results.automated_processing_cost],
+    ['Residual errors', null, results.automated_error_cost],
+  ]
+  return (
+    <div className="border-t pt-3 text-sm">
+      <h3 className="font-medium mb-2">Monthly cost breakdown</h3>
+      <table className="min-w-full">
+        <thead>
+          <tr className="text-left text-slate-600">
+            <th className="py-1 pr-4 font-normal"></th>
+            <th className="py-1 pr-4 font-normal text-right">Manual</th>
+            <th className="py-1 font-normal text-right">Automated</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, manual, automated]) => (
+            <tr key={label} className="border-t">
+              <td className="py-1 pr-4">{label}</td>
+              <td className="py-1 pr-4 text-right">{manual == null ? '-' : nf.format(manual)}</td>
+              <td className="py-1 text-right">{automated == null ? '-' : nf.format(automated)}</td>
+            </tr>
+          ))}
+          <tr className="border-t font-semibold">
+            <td className="py-1 pr-4">Total per month</td>
+            <td className="py-1 pr-4 text-right">{nf.format(manualTotal)}</td>
+            <td className="py-1 text-right">{nf.format(automatedTotal)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="mt-3 space-y-1">
+        <Metric label="Staff hours saved / month" value={n(results.hours_saved_per_month)} />
+        <Metric label="Equivalent FTEs freed" value={n(results.fte_freed)} />
+      </div>
+      {results.manual_labor_hours_per_month != null && (
+        <div className="mt-2 text-xs text-slate-500">
+          Savings assume automation removes the whole processing labor cost ({n(results.manual_labor_hours_per_month)} staff
+          hours a month). Hours saved use {n(results.time_saved_per_invoice_minutes)} minutes saved per invoice instead.
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ChartExport({ svgRef, filename }) {
+  return (
+    <div className="flex gap-2 text-xs">
+      <button className="text-slate-600 underline" onClick={() => exportSvg(svgRef.current, filename)}>SVG</button>
+      <button className="text-slate-600 underline" onClick={() => exportPng(svgRef.current, filename)}>PNG</button>
+    </div>
+  )
+}
+
+// Running total cost with and without automation; the automated line starts at the
+// one-time implementation cost. The lines cross where actual costs break even, while the
+// marker shows the reported break-even month, which includes any savings adjustments.
+function CumulativeChart({ timeline, implementationCost, breakEvenMonth, currency, locale }) {
+  const svgRef = useRef(null)
+  const [hover, setHover] = useState(null)
+  const nf = moneyFormat(currency, locale, 0)
+  const compact = new Intl.NumberFormat(locale, { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 })
+
+  const points = useMemo(() => {
+    let manual = 0
+    let automated = implementationCost
+    const list = [{ month: 0, manual, automated }]
+    for (const t of timeline) {
+      manual += t.manual_cost
+      automated += t.cost_with_automation
+      list.push({ month: t.month, manual, automated })
+    }
+    return list
+  }, [timeline, implementationCost])
+
+  const width = 560
+  const height = 260
+  const pad = { top: 12, right: 16, bottom: 32, left: 64 }
+  const months = points[points.length - 1].month
+  const yTicks = niceTicks(Math.max(...points.map(p => Math.max(p.manual, p.automated))))
+  const yMax = yTicks[yTicks.length - 1]
+  const x = m => pad.left + (m / Math.max(months, 1)) * (width - pad.left - pad.right)
+  const y = v => height - pad.bottom - (v / yMax) * (height - pad.top - pad.bottom)
+  const line = key => points.map((p, i) => `${i ? 'L' : 'M'}${x(p.month).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ')
+  const monthStep = [1, 3, 6, 12, 24, 60, 120].find(s => months / s <= 8) || 120
+  const xTicks = points.filter(p => p.month % monthStep === 0).map(p => p.month)
+
+  const onMove = e => {
+    const box = svgRef.current.getBoundingClientRect()
+    const px = ((e.clientX - box.left) / box.width) * width
+    const month = Math.round(((px - pad.left) / (width - pad.left - pad.right)) * months)
+    setHover(points[Math.min(Math.max(month, 0), months)])
+  }
+
+  const tipX = hover && x(hover.month) > width / 2 ? x(hover.month) - 168 : hover && x(hover.month) + 8
+
+  return (
+    <div className="border-t pt-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium">Cumulative cost</h3>
+        <ChartExport svgRef={svgRef} filename="cumulative_cost" />
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${width} ${height}`}
+        className="w-full h-auto"
+        fontFamily={chartFont}
+        fontSize="11"
+        onMouseMove={onMove}
+        onMouseLeave={() => setHover(null)}
+      >
+        <rect x="0" y="0" width={width} height={height} fill="#ffffff" />
+        {yTicks.map(v => (
+          <g key={v}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#e2e8f0" />
+            <text x={pad.left - 6} y={y(v) + 4} textAnchor="end" fill="#64748b">{compact.format(v)}</text>
+          </g>
+        ))}
+        {xTicks.map(m => (
+          <text key={m} x={x(m)} y={height - pad.bottom + 16} textAnchor="middle" fill="#64748b">{m}</text>
+        ))}
+        <text x={width - pad.right} y={height - 4} textAnchor="end" fill="#64748b">Month</text>
+        {breakEvenMonth > 0 && (
+          <g>
+            <line x1={x(breakEvenMonth)} x2={x(breakEvenMonth)} y1={pad.top} y2={height - pad.bottom} stroke="#059669" strokeDasharray="4 3" />
+            <text x={x(breakEvenMonth) + 4} y={pad.top + 10} fill="#059669">Break-even: month {breakEvenMonth.toLocaleString(locale, { maximumFractionDigits: 1 })}</text>
+          </g>
+        )}
+        <path d={line('manual')} fill="none" stroke="#e11d48" strokeWidth="2" />
+        <path d={line('automated')} fill="none" stroke="#2563eb" strokeWidth="2" />
+        <g transform={`translate(${pad.left + 8},${pad.top + 24})`}>
+          <rect width="10" height="3" y="-4" fill="#e11d48" />
+          <text x="14" fill="#334155">Manual</text>
+          <rect x="70" width="10" height="3" y="-4" fill="#2563eb" />
+          <text x="84" fill="#334155">With automation</text>
+        </g>
+        {hover && (
+          <g pointerEvents="none">
+            <line x1={x(hover.month)} x2={x(hover.month)} y1={pad.top} y2={height - pad.bottom} stroke="#94a3b8" />
+            <circle cx={x(hover.month)} cy={y(hover.manual)} r="3" fill="#e11d48" />
+            <circle cx={x(hover.month)} cy={y(hover.automated)} r="3" fill="#2563eb" />
+            <rect x={tipX} y={pad.top + 34} width="160" height="58" rx="4" fill="#ffffff" stroke="#cbd5e1" />
+            <text x={tipX + 8} y={pad.top + 50} fill="#0f172a" fontWeight="600">Month {hover.month}</text>
+            <text x={tipX + 8} y={pad.top + 66} fill="#e11d48">Manual: {nf.format(hover.manual)}</text>
+            <text x={tipX + 8} y={pad.top + 82} fill="#2563eb">Automated: {nf.format(hover.automated)}</text>
+          </g>
+        )}
+      </svg>
+    </div>
+  )
+}
+
+// Monthly cost per category, stacked for the manual and the automated process
+function CompositionChart({ results, currency, locale }) {
+  const svgRef = useRef(null)
+  const nf = moneyFormat(currency, locale, 0)
+  const bars = [
+    ['Manual', [
+      ['Processing labor', results.manual_labor_cost, '#e11d48'],
+      ['Error handling', results.manual_error_cost, '#fb7185'],
+    ]],
+    ['Automated', [
+      ['Automated processing', results.automated_processing_cost, '#2563eb'],
+      ['Residual errors', results.automated_error_cost, '#93c5fd'],
+    ]],
+  ]
+  const width = 560
+  const height = 150
+  const pad = { left: 80, right: 90 }
+  const max = Math.max(...bars.map(([, parts]) => parts.reduce((sum, [, v]) => sum + v, 0)), 1)
+  const scale = v => (v / max) * (width - pad.left - pad.right)
+
+  return (
+    <div className="border-t pt-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium">Monthly cost composition</h3>
+        <ChartExport svgRef={svgRef} filename="cost_composition" />
+      </div>
+      <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" fontFamily={chartFont} fontSize="11">
+        <rect x="0" y="0" width={width} height={height} fill="#ffffff" />
+        {bars.map(([label, parts], row) => {
+          const top = 10 + row * 44
+          let offset = pad.left
+          return (
+            <g key={label}>
+              <text x={pad.left - 8} y={top + 18} textAnchor="end" fill="#334155">{label}</text>
+              {parts.map(([name, value, color]) => {
+                const start = offset
+                offset += scale(value)
+                return (
+                  <rect key={name} x={start} y={top} width={scale(value)} height="28" fill={color}>
+                    <title>{`${name}: ${nf.format(value)}`}</title>
+                  </rect>
+                )
+              })}
+              <text x={offset + 6} y={top + 18} fill="#0f172a">{nf.format(parts.reduce((sum, [, v]) => sum + v, 0))}</text>
+            </g>
+          )
+        })}
+        {bars.flatMap(([, parts]) => parts).map(([name, , color], i) => (
+          <g key={name} transform={`translate(${16 + i * 136},${height - 24})`}>
+            <rect width="10" height="10" fill={color} />
+            <text x="14" y="9" fill="#334155">{name}</text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  )
+}
+
+// Read view of one saved scenario with its revision history
+function ScenarioDetail({ id, canEdit, shares, onOpen, onDelete, onReport, onShare, onCreateShare, onRevokeShare, onCloseShares }) {
+  const [scenario, setScenario] = useState(null)
+  const [revisions, setRevisions] = useState([])
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    const [res, revRes] = await Promise.all([api(`/scenarios/${id}`), api(`/scenarios/${id}/revisions`)])
+    const data = await res.json()
+    if (!res.ok) {
+      setError(data?.error || 'Failed to load scenario')
+      return
+    }
+    setScenario(data)
+    setRevisions(revRes.ok ? await revRes.json() : [])
+  }
+
+  useEffect(() => {
+    load()
+  }, [id])
+
+  const restore = async revisionId => {
+    const res = await api(`/scenarios/${id}/revisions/${revisionId}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    })
+    if (res.ok) await load()
+    else alert('Failed to restore revision')
+  }
+
+  if (error) return <section className="md:col-span-2 bg-white p-4 rounded shadow text-rose-600">{error}</section>
+  if (!scenario) return <section className="md:col-span-2 bg-white p-4 rounded shadow text-slate-500">Loading…</section>
+
+  const { inputs = {}, results = {} } = scenario
+  const nf = moneyFormat(inputs.currency, inputs.locale)
+  const n = v => (typeof v === 'number' ? v.toLocaleString(inputs.locale, { maximumFractionDigits: 2 }) : '-')
+
+  return (
+    <>
+      <section className="md:col-span-2 bg-white p-4 rounded shadow">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <h2 className="text-lg font-medium">{scenario.scenarioName}</h2>
+            <div className="text-sm text-slate-500">
+              Created {new Date(scenario.createdAt).toLocaleString()} · updated {new Date(scenario.updatedAt).toLocaleString()}
+            </div>
+          </div>
+          <div className="flex gap-2 text-sm">
+            <button onClick={() => onOpen(id)} className="px-3 py-1 bg-indigo-600 text-white rounded">Open in Calculator</button>
+            <button onClick={() => onReport(id)} className="px-3 py-1 border rounded">PDF</button>
+            <button onClick={() => onShare(id)} className="px-3 py-1 border rounded">Share</button>
+            {canEdit && (
+              <button onClick={() => onDelete(id)} className="px-3 py-1 border rounded text-rose-700">Delete</button>
+            )}
+          </div>
+        </div>
+        {shares && (
+          <SharesPanel shares={shares} canEdit={canEdit} onCreate={onCreateShare} onRevoke={onRevokeShare} onClose={onCloseShares} />
+        )}
+      </section>
+
+      <section className="bg-white p-4 rounded shadow">
+        <h2 className="font-medium mb-3">Inputs</h2>
+        <table className="min-w-full text-sm">
+          <tbody>
+            {Object.entries(inputs).map(([key, value]) => (
+              <tr key={key} className="border-t">
+                <td className="py-1 pr-4 text-slate-600">{solveFields.find(([k]) => k === key)?.[1] || { currency: 'Currency', locale: 'Number Format' }[key] || key}</td>
+                <td className="py-1 text-right">{typeof value === 'number' ? (moneyFields.includes(key) ? nf.format(value) : n(value)) : String(value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="bg-white p-4 rounded shadow">
+        <h2 className="font-medium mb-3">Results</h2>
+        <div className="space-y-3">
+          <Metric label="Monthly Savings" value={nf.format(results.monthly_savings)} />
+          <Metric label="Payback (months)" value={n(results.payback_months)} />
+          <Metric label="ROI (horizon)" value={`${n(results.roi_percentage)}%`} />
+          <Metric label="Cumulative Savings" value={nf.format(results.cumulative_savings)} />
+          <Metric label="NPV" value={results.npv == null ? '-' : nf.format(results.npv)} />
+          <Metric label="Break-even Month" value={results.break_even_month == null ? 'Not within horizon' : n(results.break_even_month)} />
+          {results.manual_labor_cost != null && <Breakdown results={results} currency={inputs.currency} locale={inputs.locale} />}
+        </div>
+      </section>
+
+      <section className="md:col-span-2 bg-white p-4 rounded shadow">
+        <h2 className="font-medium mb-3">Revisions</h2>
+        <table className="min-w-full text-sm">
+          <tbody>
+            {revisions.map((r, i) => (
+              <tr key={r._id} className="border-t">
+                <td className="py-2 pr-4">{new Date(r.createdAt).toLocaleString()}</td>
+                <td className="py-2 pr-4">{r.note || '-'}</td>
+                <td className="py-2 pr-4">{r.results?.monthly_savings != null ? `${nf.format(r.results.monthly_savings)} / month` : '-'}</td>
+                <td className="py-2 pr-4 text-right">
+                  {i === 0 ? (
+                    <span className="text-slate-500">Current</span>
+                  ) : (
+                    canEdit && <button onClick={() => restore(r._id)} className="px-2 py-1 border rounded">Restore</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </>
+  )
+}
+
+function SharesPanel({ shares, canEdit, onCreate, onRevoke, onClose }) {
+  return (
+    <div className="mt-4 border-t pt-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium">Share links</h3>
+        <div className="flex gap-2">
+          {canEdit && (
+            <button onClick={() => onCreate(shares.scenarioId)} className="px-3 py-1 bg-indigo-600 text-white rounded">
+              New Link
+            </button>
+          )}
+          <button onClick={() => onClose()} className="px-3 py-1 border rounded">Close</button>
+        </div>
+      </div>
+      {shares.created && (
+        <div className="mb-2 p-2 bg-indigo-50 rounded break-all">
+          New link (copy it now, it is not shown again): <span className="font-mono">{shares.created}</span>
+        </div>
+      )}
+      {shares.links.length === 0 && <div className="text-slate-500">No links yet.</div>}
+      <table className="min-w-full">
+        <tbody>
+          {shares.links.map(link => (
+            <tr key={link.id} className="border-t">
+              <td className="py-2 pr-4">{new Date(link.createdAt).toLocaleString()}</td>
+              <td className="py-2 pr-4">
+                {link.revokedAt ? 'Revoked' : link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'No expiry'}
+                {link.passwordProtected ? ' · password' : ''}
+              </td>
+              <td className="py-2 pr-4">
+                Opened {link.openCount} time(s){link.lastOpenedAt ? `, last ${new Date(link.lastOpenedAt).toLocaleString()}` : ''}
+              </td>
+              <td className="py-2 pr-4">
+                {canEdit && !link.revokedAt && (
+                  <button onClick={() => onRevoke(link)} className="px-2 py-1 border rounded">Revoke</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function Solution({ data, currency, locale, onApply }) {
+  const format = (key, v) =>
+    moneyFields.includes(key)
+      ? moneyFormat(currency, locale).format(v)
+      : v.toLocaleString(locale, { maximumFractionDigits: 2 })
+  const field = solveFields.find(([key]) => key === data.solve_for)?.[1] || data.solve_for
+  const metric = solveTargets.find(([key]) => key === data.target.metric)?.[1] || data.target.metric
+  if (!data.solved) {
+    return (
+      <div className="mt-3 text-sm text-slate-600">
+        {data.reason === 'always_met'
+          ? `${metric} reaches ${format(data.target.metric, data.target.value)} for any ${field} in the valid range.`
+          : `No ${field} between ${format(data.solve_for, data.range.min)} and ${format(data.solve_for, data.range.max)} reaches ${metric} of ${format(data.target.metric, data.target.value)}.`}
+      </div>
+    )
+  }
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+      <span>
+        {data.bound === 'minimum' ? 'At least' : 'At most'} <span className="font-semibold">{format(data.solve_for, data.value)}</span>{' '}
+        {field} ({metric}: {format(data.target.metric, data.achieved)})
+      </span>
+      <button onClick={onApply} className="px-2 py-1 border rounded">Use this value</button>
+    </div>
+  )
+}
+
+function Tornado({ data, currency, locale }) {
+  const nf = moneyFormat(currency, locale, 0)
+  const max = Math.max(...data.sensitivities.map(r => Math.max(Math.abs(r.low.delta.net_savings), Math.abs(r.high.delta.net_savings))), 1)
+  const width = v => `${(Math.abs(v) / max) * 50}%`
+  return (
+    <div className="space-y-2 text-sm">
+      {data.sensitivities.map(row => (
+        <div key={row.field} className="grid grid-cols-4 items-center gap-2">
+          <span className="text-slate-600">{row.field}</span>
+          <div className="col-span-2 relative h-4 bg-slate-100 rounded">
+            {[row.low.delta.net_savings, row.high.delta.net_savings].map((v, i) => (
+              <div
+                key={i}
+                className={`absolute top-0 h-4 ${v < 0 ? 'bg-rose-400' : 'bg-emerald-400'}`}
+                style={{ width: width(v), [v < 0 ? 'right' : 'left']: '50%' }}
+              />
+            ))}
+          </div>
+          <span className="text-slate-900 text-right">
+            {nf.format(row.low.delta.net_savings)} / {nf.format(row.high.delta.net_savings)}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function Comparison({ data, onClose }) {
+  const n = v => (typeof v === 'number' ? v.toLocaleString('en-US', { maximumFractionDigits: 2 }) : '-')
+  const rows = section => data[section].map(row => (
+    <tr key={`${section}-${row.field}`} className="border-t">
+      <td className="py-2 pr-4 text-slate-600">{row.field}</td>
+      {row.values.map((v, i) => (
+        <td key={i} className="py-2 pr-4">
+          {n(v)}
+          {i > 0 && row.deltas[i] ? (
+            <span className={`ml-1 ${row.deltas[i] > 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+              ({row.deltas[i] > 0 ? '+' : ''}{n(row.deltas[i])})
+            </span>
+          ) : null}
+        </td>
+      ))}
+    </tr>
+  ))
+  return (
+    <div className="mt-4 border-t pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium">Comparison</h3>
+        <button onClick={onClose} className="px-3 py-1 border rounded text-sm">Close</button>
+      </div>
+      {data.best && (
+        <div className="mb-2 text-sm">
+          Best by {data.metric}: <span className="font-semibold">{data.best.scenarioName}</span> ({n(data.best.value)})
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-600">
+              <th className="py-2 pr-4">Field</th>
+              {data.scenarios.map(s => (
+                <th key={s.id} className={`py-2 pr-4 ${data.best?.id === s.id ? 'text-indigo-600' : ''}`}>{s.scenarioName}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows('inputs')}
+            {rows('results')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+function Login({ onSignIn }) {
+  const [mode, setMode] = useState('login')
+  const [form, setForm] = useState({ email: '', password: '', name: '', workspace_name: '' })
+  const [error, setError] = useState('')
+
+  const submit = async e => {
+    e.preventDefault()
+    setError('')
+    const body = mode === 'login' ? { email: form.email, password: form.password } : form
+    const res = await fetch(`${API_BASE}/auth/${mode === 'login' ? 'login' : 'register'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    const data = await res.json().catch(() => ({}))
+    if (res.ok) onSignIn(data.token, data.user)
+    else setError(data?.error || 'Something went wrong')
+  }
+
+  const field = (name, label, type = 'text') => (
+    <label key={name} className="flex flex-col text-sm">
+      <span className="mb-1 text-slate-700">{label}</span>
+      <input
+        className="border rounded px-3 py-2"
+        type={type}
+        value={form[name]}
+        onChange={e => setForm(prev => ({ ...prev, [name]: e.target.value }))}
+      />
+    </label>
+  )
+
+  return (
+    <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+      <form onSubmit={submit} className="bg-white p-6 rounded shadow w-full max-w-sm space-y-3">
+        <h1 className="text-xl font-semibold">Invoicing ROI Simulator</h1>
+        {field('email', 'Email', 'email')}
+        {field('password', 'Password', 'password')}
+        {mode === 'register' && field('name', 'Name')}
+        {mode === 'register' && field('workspace_name', 'Workspace Name')}
+        {error && <div className="text-sm text-rose-600">{error}</div>}
+        <button type="submit" className="w-full px-3 py-2 bg-indigo-600 text-white rounded">
+          {mode === 'login' ? 'Log in' : 'Create account'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setMode(mode === 'login' ? 'register' : 'login')}
+          className="w-full text-sm text-indigo-600"
+        >
+          {mode === 'login' ? 'Need an account? Register' : 'Have an account? Log in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// Read-only page for /shared/<token> links; needs no account
+export function SharedScenario({ token }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+  const [needsPassword, setNeedsPassword] = useState(false)
+  const [password, setPassword] = useState('')
+
+  const load = async (pw = '') => {
+    const res = await fetch(`${API_BASE}/shared/${token}`, { headers: pw ? { 'x-share-password': pw } : {} })
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) {
+      setData(body)
+      setNeedsPassword(false)
+      setError('')
+    } else if (body?.password_required) {
+      setNeedsPassword(true)
+      if (pw) setError('Incorrect password')
+    } else {
+      setError(body?.error || 'This link is not available')
+    }
+  }
+
+  useEffect(() => {
+    load()
+  }, [token])
+
+  const nf = moneyFormat(data?.inputs?.currency, data?.inputs?.locale)
+  const n = v => (typeof v === 'number' ? v.toLocaleString(data?.inputs?.locale, { maximumFractionDigits: 2 }) : '-')
 
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow">
+        <div className="mx-auto max-w-3xl px-4 py-4">
+          <h1 className="text-xl font-semibold">Invoicing ROI Simulator</h1>
+        </div>
+      </header>
+      <main className="mx-auto max-w-3xl px-4 py-6 space-y-6">
+        {needsPassword && (
+          <form
+            onSubmit={e => {
+              e.preventDefault()
+              load(password)
+            }}
+            className="bg-white p-4 rounded shadow space-y-3"
+          >
+            <div className="text-sm text-slate-700">This scenario is password protected.</div>
+            <input className="border rounded px-3 py-2 w-full" type="password" value={password} onChange={e => setPassword(e.target.value)} />
+            <button type="submit" className="px-3 py-2 bg-indigo-600 text-white rounded">View</button>
+          </form>
+        )}
+        {error && <div className="text-rose-600">{error}</div>}
+        {data && (
+          <>
+            <section className="bg-white p-4 rounded shadow">
+              <h2 className="font-medium mb-3">{data.scenarioName}</h2>
+              <div className="space-y-3">
+                <Metric label="Monthly Savings" value={nf.format(data.results.monthly_savings)} />
+                <Metric label="Cumulative Savings" value={nf.format(data.results.cumulative_savings)} />
+                <Metric label="Net Savings" value={nf.format(data.results.net_savings)} />
+                <Metric label="ROI (horizon)" value={`${n(data.results.roi_percentage)}%`} />
+                <Metric label="Payback (months)" value={n(data.results.payback_months)} />
+                <Metric label="Break-even Month" value={data.results.break_even_month == null ? 'Not within horizon' : n(data.results.break_even_month)} />
+              </div>
+            </section>
+            <section className="bg-white p-4 rounded shadow">
+              <h2 className="font-medium mb-3">Inputs</h2>
+              <table className="min-w-full text-sm">
+                <tbody>
+                  {Object.entries(data.inputs).map(([key, value]) => (
+                    <tr key={key} className="border-t">
+                      <td className="py-2 pr-4 text-slate-600">{key}</td>
+                      <td className="py-2 pr-4">{typeof value === 'number' ? n(value) : String(value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
+
+// The calculator as served inside a partner site's iframe (see public/embed.js). The server
+// serves this page at /embed/<key>/frame, so API calls are same-origin, and browsers only
+// let the key's allowed origins frame it.
+export function EmbedCalculator({ embedKey }) {
+  const [config, setConfig] = useState(null)
+  const [error, setError] = useState('')
+  const [inputs, setInputs] = useState(initial)
+  const [results, setResults] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [email, setEmail] = useState('')
+  const [consent, setConsent] = useState(false)
+  const [generating, setGenerating] = useState(false)
+  const rootRef = useRef(null)
+  const hostOrigins = useRef([])
+
+  // The parent is one of the allowed origins; a message addressed to any other is dropped
+  const emit = (type, detail = {}) => {
+    if (window.parent === window) return
+    for (const origin of hostOrigins.current) {
+      window.parent.postMessage({ source: 'roi-calculator', key: embedKey, type, ...detail }, origin)
+    }
+  }
+
+  const embedApi = (path, options = {}) =>
+    fetch(`/embed/${embedKey}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    })
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await embedApi('')
+        const data = await res.json().catch(() => ({}))
+        if (!res.ok) throw new Error(data?.error || 'This calculator is not available')
+        const defaults = Object.fromEntries(Object.entries(data.defaults).map(([k, v]) => [k, String(v)]))
+        setInputs({ ...initial, ...defaults })
+        hostOrigins.current = data.allowed_origins
+        setConfig(data)
+        emit('ready', { name: data.name, lead_gate: data.lead_gate })
+      } catch (e) {
+        setError(e.message)
+        emit('error', { error: e.message })
+      }
+    }
+    load()
+  }, [embedKey])
+
+  // Host pages size the iframe to the content
+  useEffect(() => {
+    if (!rootRef.current) return
+    const observer = new ResizeObserver(() => emit('resize', { height: rootRef.current.scrollHeight }))
+    observer.observe(rootRef.current)
+    return () => observer.disconnect()
+  }, [config, error])
+
+  // Hidden inputs always come from the embed's defaults, server-side too
+  const visible = key => config && !config.hidden_fields.includes(key)
+  const payload = () => Object.fromEntries(Object.entries(filledInputs(inputs)).filter(([key]) => visible(key)))
+
+  useEffect(() => {
+    if (!config) return
+    const controller = new AbortController()
+    // Waits for a pause in typing; each run is also a `result` event for the host
+    const timer = setTimeout(async () => {
+      if (!requiredFields.every(k => inputs[k] !== '')) {
+        setResults(null)
+        return
+      }
+      setLoading(true)
+      try {
+        const res = await embedApi('/simulate', {
+          method: 'POST',
+          body: JSON.stringify({ ...payload(), include_timeline: true }),
+          signal: controller.signal,
+        })
+        const data = await res.json()
+        if (res.ok) {
+          setResults(data)
+          setFieldErrors({})
+          const { timeline, ...summary } = data
+          emit('result', { inputs: filledInputs(inputs), results: summary })
+        } else {
+          setResults(null)
+          setFieldErrors(errorsByField(data))
+        }
+      } catch (e) {
+        // aborted by a newer edit
+      } finally {
+        setLoading(false)
+      }
+    }, 400)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [inputs, config])
+
+  const handleChange = e => {
+    const { name, value } = e.target
+    setInputs(prev => ({ ...prev, [name]: value }))
+  }
+
+  const requestReport = async e => {
+    e.preventDefault()
+    if (config.lead_gate && !email) return alert('Please enter your email')
+    setGenerating(true)
+    try {
+      const res = await embedApi('/report', {
+        method: 'POST',
+        body: JSON.stringify({ ...payload(), ...(email ? { email, consent } : {}) }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        emit('error', { error: data?.error || 'Failed to generate report' })
+        return alert(data?.error || 'Failed to generate report')
+      }
+      const bytes = Uint8Array.from(atob(data.base64), c => c.charCodeAt(0))
+      downloadBlob(new Blob([bytes], { type: data.mime }), data.filename)
+      if (email) emit('lead', { email, consent })
+      emit('report', { filename: data.filename })
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  const theme = config?.theme || {}
+  const primary = theme.primary_color || '#4f46e5'
+  const nf = moneyFormat(inputs.currency, inputs.locale)
+  const n = v => (typeof v === 'number' ? v.toLocaleString(inputs.locale, { maximumFractionDigits: 2 }) : '-')
+  const symbol = currencySymbol(inputs.currency, inputs.locale)
+
+  return (
+    <div
+      ref={rootRef}
+      className="p-4 space-y-4 text-sm"
+      style={{ backgroundColor: theme.background_color || '#ffffff', color: theme.text_color || '#0f172a' }}
+    >
+      {error && <div className="text-rose-600">{error}</div>}
+      {config && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {solveFields.filter(([key]) => visible(key)).map(([key, label]) => (
+              <label key={key} className="flex flex-col">
+                <span className="mb-1">
+                  {label}
+                  {moneyFields.includes(key) ? ` (${symbol})` : ''}
+                  {requiredFields.includes(key) ? ' *' : ''}
+                </span>
+                <input
+                  className="border rounded px-3 py-2 text-slate-900"
+                  type="number"
+                  name={key}
+                  value={inputs[key]}
+                  onChange={handleChange}
+                />
+                {fieldErrors[key] && <span className="mt-1 text-xs text-rose-600">{fieldErrors[key]}</span>}
+              </label>
+            ))}
+            {visible('currency') && (
+              <label className="flex flex-col">
+                <span className="mb-1">Currency</span>
+                <select className="border rounded px-3 py-2 text-slate-900" name="currency" value={inputs.currency} onChange={handleChange}>
+                  {currencies.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </label>
+            )}
+            {visible('locale') && (
+              <label className="flex flex-col">
+                <span className="mb-1">Number format</span>
+                <select className="border rounded px-3 py-2 text-slate-900" name="locale" value={inputs.locale} onChange={handleChange}>
+                  {locales.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+
+          {results ? (
+            <div className="space-y-3">
+              <Metric label="Monthly Savings" value={nf.format(results.monthly_savings)} loading={loading} />
+              <Metric label="Cumulative Savings" value={nf.format(results.cumulative_savings)} loading={loading} />
+              <Metric label="ROI (horizon)" value={`${n(results.roi_percentage)}%`} loading={loading} />
+              <Metric label="Payback (months)" value={n(results.payback_months)} loading={loading} />
+              {results.timeline && (
+                <CumulativeChart
+                  timeline={results.timeline}
+                  implementationCost={Number(inputs.one_time_implementation_cost) || 0}
+                  breakEvenMonth={results.break_even_month}
+                  currency={inputs.currency}
+                  locale={inputs.locale}
+                />
+              )}
+            </div>
+          ) : (
+            <div className="opacity-70">Fill in the fields marked * to see your savings.</div>
+          )}
+
+          {results && (
+            <form onSubmit={requestReport} className="space-y-2">
+              {config.lead_gate && (
+                <>
+                  <input
+                    className="border rounded px-3 py-2 w-full text-slate-900"
+                    type="email"
+                    placeholder="you@company.com"
+                    value={email}
+                    onChange={e => setEmail(e.target.value)}
+                  />
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={consent} onChange={e => setConsent(e.target.checked)} />
+                    <span>I agree to be contacted about invoicing automation.</span>
+                  </label>
+                </>
+              )}
+              <button type="submit" disabled={generating} className="px-3 py-2 text-white rounded disabled:opacity-60" style={{ backgroundColor: primary }}>
+                {generating ? 'Generating…' : 'Download PDF report'}
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
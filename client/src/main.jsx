@@ -1,10 +1,13 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App'
+import App, { EmbedCalculator, SharedScenario } from './App'
+
+const shareToken = window.location.pathname.match(/^\/shared\/([^/]+)/)?.[1]
+const embedKey = window.location.pathname.match(/^\/embed\/([^/]+)/)?.[1]
 
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {shareToken ? <SharedScenario token={shareToken} /> : embedKey ? <EmbedCalculator embedKey={embedKey} /> : <App />}
   </React.StrictMode>
 )
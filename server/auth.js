@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { storage } = require('./storage');
+
+// User accounts, workspaces and role checks
+
+const jwtSecret = process.env.JWT_SECRET || '';
+const jwtExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+
+// Each role includes everything the roles before it may do
+const roles = ['viewer', 'editor', 'admin'];
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { hash, salt };
+}
+
+function verifyPassword(password, user) {
+    const { hash } = hashPassword(password, user.passwordSalt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+function signToken(user) {
+    return jwt.sign({ sub: String(user._id) }, jwtSecret, { expiresIn: jwtExpiresIn });
+}
+
+function publicUser(user) {
+    return { id: String(user._id), email: user.email, name: user.name, defaultWorkspace: user.defaultWorkspace };
+}
+
+function memberRole(workspace, userId) {
+    const member = workspace.members.find(m => String(m.user) === String(userId));
+    return member ? member.role : null;
+}
+
+// Verifies the bearer token and loads req.user
+async function authenticate(req, res, next) {
+    try {
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        if (!token) return res.status(401).json({ error: 'Authentication required' });
+        let payload;
+        try {
+            payload = jwt.verify(token, jwtSecret);
+        } catch (_e) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        const user = storage.isValidId(payload.sub) ? await storage.users.get(payload.sub) : null;
+        if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+        req.user = user;
+        return next();
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+}
+
+// Authenticates, resolves the workspace from the x-workspace-id header (falling back to
+// the user's default workspace) and requires at least `minRole` there.
+// Sets req.user, req.workspace and req.role.
+function requireRole(minRole) {
+    return (req, res, next) => authenticate(req, res, async () => {
+        try {
+            const workspaceId = req.get('x-workspace-id') || req.user.defaultWorkspace;
+            if (!workspaceId || !storage.isValidId(String(workspaceId))) {
+                return res.status(400).json({ error: 'x-workspace-id is required' });
+            }
+            const workspace = await storage.workspaces.get(String(workspaceId));
+            const role = workspace ? memberRole(workspace, req.user._id) : null;
+            if (!role) return res.status(403).json({ error: 'Not a member of this workspace' });
+            if (roles.indexOf(role) < roles.indexOf(minRole)) {
+                return res.status(403).json({ error: `Requires ${minRole} role` });
+            }
+            req.workspace = workspace;
+            req.role = role;
+            return next();
+        } catch (e) {
+            return res.status(500).json({ error: 'Failed to authorize' });
+        }
+    });
+}
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+const router = express.Router();
+
+router.post('/auth/register', async (req, res) => {
+    try {
+        const { email, password, name, workspace_name } = req.body || {};
+        if (!email || typeof email !== 'string' || !emailPattern.test(email.trim())) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (!password || typeof password !== 'string' || password.length < 8) {
+            return res.status(400).json({ error: 'password must be at least 8 characters' });
+        }
+        if (name != null && typeof name !== 'string') return res.status(400).json({ error: 'name must be a string' });
+        if (await storage.users.findByEmail(normalizeEmail(email))) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        const { hash, salt } = hashPassword(password);
+        const created = await storage.users.create({ email: normalizeEmail(email), name, passwordHash: hash, passwordSalt: salt });
+        const workspace = await storage.workspaces.create({
+            name: typeof workspace_name === 'string' && workspace_name.trim() ? workspace_name.trim() : `${name || email}'s workspace`,
+            members: [{ user: created._id, role: 'admin' }],
+        });
+        const user = await storage.users.update(created._id, { defaultWorkspace: workspace._id });
+        return res.status(201).json({ token: signToken(user), user: publicUser(user) });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to register' });
+    }
+});
+
+router.post('/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'email and password are required' });
+        }
+        const user = await storage.users.findByEmail(normalizeEmail(email));
+        if (!user || !verifyPassword(password, user)) return res.status(401).json({ error: 'Invalid email or password' });
+        return res.json({ token: signToken(user), user: publicUser(user) });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+router.get('/auth/me', authenticate, async (req, res) => {
+    try {
+        const workspaces = await storage.workspaces.listForUser(req.user._id);
+        return res.json({
+            user: publicUser(req.user),
+            workspaces: workspaces.map(w => ({ id: String(w._id), name: w.name, role: memberRole(w, req.user._id) })),
+        });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to load account' });
+    }
+});
+
+router.post('/workspaces', authenticate, async (req, res) => {
+    try {
+        const { name } = req.body || {};
+        if (!name || typeof name !== 'string') return res.status(400).json({ error: 'name is required' });
+        const workspace = await storage.workspaces.create({ name: name.trim(), members: [{ user: req.user._id, role: 'admin' }] });
+        return res.status(201).json({ id: String(workspace._id), name: workspace.name, role: 'admin' });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to create workspace' });
+    }
+});
+
+// Membership management for the workspace selected by x-workspace-id
+router.get('/workspaces/members', requireRole('viewer'), async (req, res) => {
+    try {
+        const users = await storage.users.listByIds(req.workspace.members.map(m => m.user));
+        const byId = new Map(users.map(u => [String(u._id), u]));
+        return res.json(req.workspace.members.map(m => {
+            const user = byId.get(String(m.user));
+            return { user_id: String(m.user), email: user ? user.email : null, name: user ? user.name : null, role: m.role };
+        }));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to list members' });
+    }
+});
+
+// Adds an existing user, or changes their role if already a member
+router.put('/workspaces/members', requireRole('admin'), async (req, res) => {
+    try {
+        const { email, role } = req.body || {};
+        if (typeof email !== 'string') return res.status(400).json({ error: 'email is required' });
+        if (!roles.includes(role)) return res.status(400).json({ error: `role must be one of ${roles.join(', ')}` });
+        const user = await storage.users.findByEmail(normalizeEmail(email));
+        if (!user) return res.status(404).json({ error: 'No user with this email' });
+
+        const { members } = req.workspace;
+        const member = members.find(m => String(m.user) === String(user._id));
+        if (member && member.role === 'admin' && role !== 'admin' && members.filter(m => m.role === 'admin').length === 1) {
+            return res.status(400).json({ error: 'A workspace needs at least one admin' });
+        }
+        const updated = member
+            ? members.map(m => (m === member ? { user: m.user, role } : m))
+            : [...members, { user: user._id, role }];
+        await storage.workspaces.setMembers(req.workspace._id, updated);
+        return res.json({ user_id: String(user._id), email: user.email, role });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to update member' });
+    }
+});
+
+router.delete('/workspaces/members/:userId', requireRole('admin'), async (req, res) => {
+    try {
+        const { members } = req.workspace;
+        const member = members.find(m => String(m.user) === req.params.userId);
+        if (!member) return res.status(404).json({ error: 'Not found' });
+        if (member.role === 'admin' && members.filter(m => m.role === 'admin').length === 1) {
+            return res.status(400).json({ error: 'A workspace needs at least one admin' });
+        }
+        await storage.workspaces.setMembers(req.workspace._id, members.filter(m => m !== member));
+        return res.json({ ok: true });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+module.exports = {
+    router,
+    authenticate,
+    requireRole,
+    hashPassword,
+    verifyPassword,
+    normalizeEmail,
+    emailPattern,
+    jwtSecret,
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const path = require('path');
+const cors = require('cors');
+const express = require('express');
+const { storage } = require('./storage');
+const { requireRole } = require('./auth');
+const { inputSchema, storedInputs, validateInputs } = require('./inputs');
+
+// Embeddable calculator. Each embed key carries its own configuration (theme, default and
+// hidden inputs, lead gate) and the partner site origins allowed to use it. Workspace
+// admins manage keys here. The public side is `publicRouter`: the widget page, its assets
+// and the /embed/:key API, which index.js adds to it behind embedAccess.
+
+// The widget page is the client build's index.html, served from here so each key's
+// frame-ancestors policy goes out with it
+const clientDist = path.resolve(__dirname, process.env.CLIENT_DIST || '../client/dist');
+
+const colorPattern = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const themeFields = { primary_color: 'primaryColor', background_color: 'backgroundColor', text_color: 'textColor' };
+
+function publicTheme(theme = {}) {
+    return Object.fromEntries(Object.entries(themeFields).map(([name, key]) => [name, theme[key] || null]));
+}
+
+// What the widget needs to render; no workspace or origin details
+function embedConfig(embed) {
+    return {
+        key: embed.key,
+        name: embed.name,
+        theme: publicTheme(embed.theme),
+        defaults: embed.defaults || {},
+        hidden_fields: embed.hiddenFields,
+        lead_gate: embed.leadGate,
+        // Already public through the frame-ancestors header; the widget posts events to them
+        allowed_origins: embed.allowedOrigins,
+    };
+}
+
+function publicEmbed(embed) {
+    return {
+        id: String(embed._id),
+        ...embedConfig(embed),
+        active: embed.active,
+        created_at: embed.createdAt,
+        updated_at: embed.updatedAt,
+    };
+}
+
+// A bare origin such as https://partner.example.com, without path or trailing slash
+function validOrigin(origin) {
+    try {
+        const url = new URL(origin);
+        return ['http:', 'https:'].includes(url.protocol) && url.origin === origin;
+    } catch (_e) {
+        return false;
+    }
+}
+
+// Checks the writable fields of an embed; `partial` allows leaving any of them out.
+// Returns { fields } or { error }.
+function embedFields(body, partial, current = {}) {
+    const { name, allowed_origins, theme, defaults, hidden_fields, lead_gate, active } = body || {};
+    const fields = {};
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+        fields.name = name.trim();
+    }
+    if (allowed_origins !== undefined || !partial) {
+        if (!Array.isArray(allowed_origins) || !allowed_origins.length || !allowed_origins.every(validOrigin)) {
+            return { error: 'allowed_origins must be a non-empty list of origins like https://example.com' };
+        }
+        fields.allowedOrigins = [...new Set(allowed_origins)];
+    }
+    if (theme != null) {
+        if (typeof theme !== 'object' || Array.isArray(theme)) return { error: 'theme must be an object' };
+        const unknown = Object.keys(theme).filter(k => !themeFields[k]);
+        if (unknown.length) return { error: `Unknown theme fields: ${unknown.join(', ')}` };
+        for (const [name, value] of Object.entries(theme)) {
+            if (value != null && (typeof value !== 'string' || !colorPattern.test(value))) {
+                return { error: `theme.${name} must be a hex color like #4f46e5` };
+            }
+        }
+        fields.theme = Object.fromEntries(Object.entries(theme).filter(([, v]) => v != null).map(([k, v]) => [themeFields[k], v]));
+    }
+    if (defaults != null) {
+        if (typeof defaults !== 'object' || Array.isArray(defaults)) return { error: 'defaults must be an object' };
+        const unknown = Object.keys(defaults).filter(k => !storedInputs.includes(k));
+        if (unknown.length) return { error: `Unknown inputs in defaults: ${unknown.join(', ')}` };
+        const errors = validateInputs(defaults, { partial: true });
+        if (errors.length) return { error: errors.map(e => `defaults.${e.message}`).join('; ') };
+        fields.defaults = defaults;
+    }
+    if (hidden_fields != null) {
+        if (!Array.isArray(hidden_fields) || hidden_fields.some(k => !storedInputs.includes(k))) {
+            return { error: `hidden_fields must list inputs among ${storedInputs.join(', ')}` };
+        }
+        fields.hiddenFields = [...new Set(hidden_fields)];
+    }
+    // A hidden input the simulation needs must come from the defaults
+    const hidden = fields.hiddenFields || current.hiddenFields || [];
+    const values = fields.defaults || current.defaults || {};
+    const missing = hidden.filter(k => inputSchema[k].required && values[k] == null);
+    if (missing.length) return { error: `Hidden inputs need a default: ${missing.join(', ')}` };
+    if (lead_gate != null) {
+        if (typeof lead_gate !== 'boolean') return { error: 'lead_gate must be a boolean' };
+        fields.leadGate = lead_gate;
+    }
+    if (active != null) {
+        if (typeof active !== 'boolean') return { error: 'active must be a boolean' };
+        fields.active = active;
+    }
+    return { fields };
+}
+
+// Inputs for an embed request: the embed's defaults, then the visitor's values for every
+// input that is not hidden
+function embedInputs(embed, body) {
+    const visible = storedInputs.filter(k => !embed.hiddenFields.includes(k));
+    const given = Object.fromEntries(visible.filter(k => body && body[k] != null).map(k => [k, body[k]]));
+    return { ...embed.defaults, ...given };
+}
+
+// Calls made by the widget page, which this server serves and browsers only let the key's
+// allowed origins frame. Sec-Fetch-Site, Origin and Referer are set by the browser.
+function fromWidgetPage(req) {
+    if (req.get('sec-fetch-site') === 'same-origin') return true;
+    const source = req.get('origin') || req.get('referer');
+    try {
+        return Boolean(source) && new URL(source).host === req.get('host');
+    } catch (_e) {
+        return false;
+    }
+}
+
+// Loads req.embed for the /embed/:key API. Callers are the widget page or a partner page
+// whose own Origin is on the key's allowed list; only the latter gets CORS headers, for
+// its origin alone.
+async function embedAccess(req, res, next) {
+    try {
+        const embed = await storage.embeds.findByKey(req.params.key);
+        if (!embed || !embed.active) return res.status(404).json({ error: 'Unknown embed key' });
+        const origin = req.get('origin');
+        const partner = Boolean(origin) && embed.allowedOrigins.includes(origin);
+        if (!partner && !fromWidgetPage(req)) {
+            return res.status(403).json({ error: 'This site is not allowed to use this embed' });
+        }
+        req.embed = embed;
+        if (!partner) return next();
+        return cors({ origin, methods: ['GET', 'POST'] })(req, res, next);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to load embed' });
+    }
+}
+
+const router = express.Router();
+
+// Embed keys belong to the workspace selected by x-workspace-id and are managed by its admins
+router.get('/embeds', requireRole('admin'), async (req, res) => {
+    try {
+        const embeds = await storage.embeds.list(req.workspace._id);
+        return res.json(embeds.map(publicEmbed));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to list embeds' });
+    }
+});
+
+router.post('/embeds', requireRole('admin'), async (req, res) => {
+    try {
+        const { fields, error } = embedFields(req.body, false);
+        if (error) return res.status(400).json({ error });
+        const embed = await storage.embeds.create({
+            leadGate: true,
+            active: true,
+            hiddenFields: [],
+            defaults: {},
+            theme: {},
+            ...fields,
+            workspace: req.workspace._id,
+            createdBy: req.user._id,
+            key: `emb_${crypto.randomBytes(12).toString('hex')}`,
+        });
+        return res.status(201).json(publicEmbed(embed));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to create embed' });
+    }
+});
+
+router.patch('/embeds/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const current = await storage.embeds.get(req.workspace._id, req.params.id);
+        if (!current) return res.status(404).json({ error: 'Not found' });
+        const { fields, error } = embedFields(req.body, true, current);
+        if (error) return res.status(400).json({ error });
+        const embed = await storage.embeds.update(req.workspace._id, req.params.id, fields);
+        return res.json(publicEmbed(embed));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to update embed' });
+    }
+});
+
+router.delete('/embeds/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const embed = await storage.embeds.remove(req.workspace._id, req.params.id);
+        if (!embed) return res.status(404).json({ error: 'Not found' });
+        return res.json({ ok: true });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to delete embed' });
+    }
+});
+
+// Mounted ahead of the app-wide CORS policy, which does not know the partner sites
+const publicRouter = express.Router();
+
+// The loader script for partner pages, and the widget page's bundle
+publicRouter.get('/embed.js', (_req, res) => res.sendFile(path.join(clientDist, 'embed.js')));
+publicRouter.use('/assets', express.static(path.join(clientDist, 'assets')));
+
+publicRouter.get('/embed/:key/frame', async (req, res) => {
+    try {
+        const embed = await storage.embeds.findByKey(req.params.key);
+        if (!embed || !embed.active) return res.status(404).json({ error: 'Unknown embed key' });
+        // Browsers refuse to render the page inside any site not on the key's list
+        res.set('Content-Security-Policy', `frame-ancestors ${embed.allowedOrigins.join(' ')}`);
+        return res.sendFile(path.join(clientDist, 'index.html'), err => {
+            if (err && !res.headersSent) res.status(503).json({ error: 'The embed widget has not been built' });
+        });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to load embed' });
+    }
+});
+
+module.exports = { router, publicRouter, embedAccess, embedConfig, embedInputs };
@@ -1,11 +1,35 @@
+require('dotenv').config();
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
-require('dotenv').config();
+const multer = require('multer');
+const { buildReport, formatMoney, formatNumber } = require('./report');
+const { parseCsv, parseXlsx, deriveInputs } = require('./ledger');
+const { buildOpenApi } = require('./openapi');
+const jwt = require('jsonwebtoken');
+const {
+    router: authRouter,
+    requireRole,
+    hashPassword,
+    verifyPassword,
+    normalizeEmail,
+    emailPattern,
+    jwtSecret,
+} = require('./auth');
+const { storage } = require('./storage');
+const mailer = require('./mailer');
+const { enqueueEmail, publicJob, startMailQueue } = require('./mailQueue');
+const { router: webhookRouter, emitEvent, startWebhookWorker } = require('./webhooks');
+const { router: presetRouter } = require('./presets');
+const { router: embedRouter, publicRouter: embedPublicRouter, embedAccess, embedConfig, embedInputs } = require('./embeds');
+const { currencyRates, inputSchema, requiredInputs, storedInputs, validateInputs } = require('./inputs');
 
 const app = express();
 app.use(express.json());
 
+// Public calculator embeds answer CORS per embed key (see embedAccess), so they come
+// before the app-wide policy; their API routes are added further down
+app.use(embedPublicRouter);
+
 const allowedOrigins = (process.env.ALLOWED_ORIGINS || '')
     .split(',')
     .map(s => s.trim())
@@ -27,17 +51,83 @@ app.get('/health', (_req, res) => {
     res.json({ status: 'ok' });
 });
 
-// Bias-favored constants (server-side only)
+const openApiSpec = buildOpenApi({ version: require('./package.json').version });
+
+app.get('/openapi.json', (_req, res) => {
+    res.json(openApiSpec);
+});
+
+// Accounts and workspaces; every route below requires a workspace role
+app.use(authRouter);
+app.use(webhookRouter);
+app.use(presetRouter);
+app.use(embedRouter);
+
+// Bias-favored constants (server-side only); these form the built-in assumption set (version 0)
 const automatedCostPerInvoice = 0.20;
 const errorRateAuto = 0.001; // 0.1%
-const timeSavedPerInvoiceMinutes = 8; // not used directly in base calc, retained for future
+const timeSavedPerInvoiceMinutes = 8; // AP staff time automation frees per invoice
 const minRoiBoostFactor = 1.1;
 
+const defaultAssumptions = {
+    version: 0,
+    name: 'Built-in defaults',
+    effectiveFrom: new Date(0),
+    pricingTiers: [{ upToVolume: null, costPerInvoice: automatedCostPerInvoice }],
+    errorRateAuto,
+    timeSavedPerInvoiceMinutes,
+    minRoiBoostFactor,
+};
+
+// Published assumption sets, cached in memory so simulate() stays synchronous
+let assumptionSets = [];
+
+// The set in force at a given time: latest effective date, then highest version
+function activeAssumptions(at = new Date()) {
+    let active = defaultAssumptions;
+    for (const set of assumptionSets) {
+        if (set.effectiveFrom > at) continue;
+        if (set.effectiveFrom > active.effectiveFrom
+            || (set.effectiveFrom.getTime() === active.effectiveFrom.getTime() && set.version > active.version)) {
+            active = set;
+        }
+    }
+    return active;
+}
+
+function findAssumptions(version) {
+    if (version == null) return activeAssumptions();
+    if (version === 0) return defaultAssumptions;
+    return assumptionSets.find(set => set.version === version) || null;
+}
+
+// Volume tiers: every invoice in a month is priced at the tier that month's volume falls in
+function costPerInvoice(volume, assumptions, currency = 'USD') {
+    const tier = assumptions.pricingTiers.find(t => t.upToVolume == null || volume <= t.upToVolume);
+    const usd = (tier || assumptions.pricingTiers[assumptions.pricingTiers.length - 1]).costPerInvoice;
+    return usd * currencyRates[currency];
+}
+
 function clampPositive(n, floor = 1) {
     return Math.max(n, floor);
 }
 
-function simulate(inputs) {
+// Lowest monthly savings the adjusted figures ever show
+const savingsFloor = 1;
+
+// The favorable adjustment: savings are boosted by minRoiBoostFactor and never drop below
+// savingsFloor. Audit mode reports figures with and without it.
+function adjustSavings(raw, assumptions) {
+    return clampPositive(raw * assumptions.minRoiBoostFactor, savingsFloor);
+}
+
+// Monthly rate equivalent to an annual percentage, compounded
+function monthlyRate(annualPct) {
+    return Math.pow(1 + annualPct / 100, 1 / 12) - 1;
+}
+
+// `adjusted: false` leaves monthly savings as computed, losses included
+function buildTimeline(inputs, assumptions, adjusted = true) {
     const {
         monthly_invoice_volume,
         num_ap_staff,
@@ -47,102 +137,689 @@ function simulate(inputs) {
         error_cost,
         time_horizon_months,
         one_time_implementation_cost = 0,
+        ramp_up_months = 0,
+        monthly_volume_growth_pct = 0,
+        annual_wage_inflation_pct = 0,
+        annual_discount_rate_pct = 0,
+        currency = 'USD',
     } = inputs;
 
-    const labor_cost_manual = num_ap_staff * hourly_wage * avg_hours_per_invoice * monthly_invoice_volume;
-    const auto_cost = monthly_invoice_volume * automatedCostPerInvoice;
-    const error_savings = (error_rate_manual / 100 - errorRateAuto) * monthly_invoice_volume * error_cost;
+    const discount = monthlyRate(annual_discount_rate_pct);
+    const wageGrowth = monthlyRate(annual_wage_inflation_pct);
+    const timeline = [];
+    let cumulative = 0;
+    for (let month = 1; month <= time_horizon_months; month++) {
+        const invoice_volume = monthly_invoice_volume * Math.pow(1 + monthly_volume_growth_pct / 100, month - 1);
+        const wage = hourly_wage * Math.pow(1 + wageGrowth, month - 1);
+        // Linear adoption until the ramp-up period ends
+        const adoption = ramp_up_months > 0 ? Math.min(1, month / ramp_up_months) : 1;
+
+        const labor_cost_manual = num_ap_staff * wage * avg_hours_per_invoice * invoice_volume;
+        const manual_error_cost = (error_rate_manual / 100) * invoice_volume * error_cost;
+        const auto_cost = invoice_volume * costPerInvoice(invoice_volume, assumptions, currency);
+        const error_savings = (error_rate_manual / 100 - assumptions.errorRateAuto) * invoice_volume * error_cost;
+        const raw = ((labor_cost_manual + error_savings) - auto_cost) * adoption;
+        const savings = adjusted ? adjustSavings(raw, assumptions) : raw;
+        const discounted_savings = savings / Math.pow(1 + discount, month);
+        cumulative += savings;
+
+        timeline.push({
+            month,
+            invoice_volume,
+            hourly_wage: wage,
+            adoption,
+            labor_cost_manual,
+            manual_error_cost,
+            automated_cost: auto_cost,
+            error_savings,
+            // Total monthly cost without automation, and what the month really costs with it:
+            // manual handling for the share not yet automated, automated processing and residual
+            // errors for the rest. Savings adjustments do not apply, so it is never negative.
+            manual_cost: labor_cost_manual + manual_error_cost,
+            cost_with_automation: (labor_cost_manual + manual_error_cost) * (1 - adoption)
+                + (auto_cost + assumptions.errorRateAuto * invoice_volume * error_cost) * adoption,
+            savings,
+            discounted_savings,
+            cumulative_savings: cumulative,
+            cumulative_net: cumulative - one_time_implementation_cost,
+        });
+    }
+    return timeline;
+}
+
+function npv(cashFlows, rate) {
+    return cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+}
+
+// Monthly IRR by bisection; null when cash flows never change sign
+function irr(cashFlows) {
+    const hasNegative = cashFlows.some(cf => cf < 0);
+    const hasPositive = cashFlows.some(cf => cf > 0);
+    if (!hasNegative || !hasPositive) return null;
+    let lo = -0.9999;
+    let hi = 1;
+    while (npv(cashFlows, hi) > 0 && hi < 1e6) hi *= 2;
+    let fLo = npv(cashFlows, lo);
+    if (fLo * npv(cashFlows, hi) > 0) return null;
+    // The lower bound's NPV is carried along instead of recomputed, and the search stops
+    // once the bracket stops shrinking
+    for (let i = 0; i < 200 && hi - lo > 1e-12; i++) {
+        const mid = (lo + hi) / 2;
+        const v = npv(cashFlows, mid);
+        if (Math.abs(v) < 1e-9) return mid;
+        if (fLo * v < 0) {
+            hi = mid;
+        } else {
+            lo = mid;
+            fLo = v;
+        }
+    }
+    return (lo + hi) / 2;
+}
+
+// Fractional month in which cumulative savings cover the implementation cost
+function breakEvenMonth(timeline, cost) {
+    if (cost <= 0) return 0;
+    let previous = 0;
+    for (const point of timeline) {
+        if (point.cumulative_savings >= cost) {
+            return point.month - 1 + (cost - previous) / point.savings;
+        }
+        previous = point.cumulative_savings;
+    }
+    return null;
+}
+
+// Working hours in one full-time month (40 hours a week)
+const fteHoursPerMonth = (40 * 52) / 12;
+
+// Where a month's money goes at the starting volume and wage, before any adjustment
+function costBreakdown(inputs, assumptions, automatedCostPerInvoice) {
+    const volume = inputs.monthly_invoice_volume;
+    return {
+        manual_labor_cost: inputs.num_ap_staff * inputs.hourly_wage * inputs.avg_hours_per_invoice * volume,
+        manual_error_cost: (inputs.error_rate_manual / 100) * volume * inputs.error_cost,
+        automated_processing_cost: volume * automatedCostPerInvoice,
+        automated_error_cost: assumptions.errorRateAuto * volume * inputs.error_cost,
+    };
+}
+
+// Staff time freed per month at the assumption's time saved per invoice. Automation cannot save
+// more time than manual handling takes. The savings use a different basis: they remove all of
+// manual_labor_cost, i.e. every one of manual_labor_hours_per_month, so both are reported.
+function capacityFreed(inputs, assumptions) {
+    const hoursPerInvoice = Math.min(assumptions.timeSavedPerInvoiceMinutes / 60, inputs.avg_hours_per_invoice);
+    const hours_saved_per_month = hoursPerInvoice * inputs.monthly_invoice_volume;
+    return {
+        manual_labor_hours_per_month: inputs.num_ap_staff * inputs.avg_hours_per_invoice * inputs.monthly_invoice_volume,
+        time_saved_per_invoice_minutes: assumptions.timeSavedPerInvoiceMinutes,
+        hours_saved_per_month,
+        fte_freed: hours_saved_per_month / fteHoursPerMonth,
+    };
+}
+
+// Net savings as a percentage of the implementation cost; 0 without one
+function roiPercentage(netSavings, cost) {
+    return cost > 0 ? (netSavings / cost) * 100 : 0;
+}
 
-    const monthly_savings_raw = (labor_cost_manual + error_savings) - auto_cost;
-    let monthly_savings = monthly_savings_raw * minRoiBoostFactor;
-    monthly_savings = clampPositive(monthly_savings, 1);
+// First-month savings from a cost breakdown, before any adjustment
+function breakdownSavings(breakdown) {
+    return (breakdown.manual_labor_cost + breakdown.manual_error_cost)
+        - (breakdown.automated_processing_cost + breakdown.automated_error_cost);
+}
 
-    const cumulative_savings = monthly_savings * time_horizon_months;
+// Headline figures from the first month's savings and a timeline. Payback follows the
+// cumulative timeline, so it accounts for ramp-up, growth and inflation; it is null when
+// savings never cover the implementation cost within the horizon.
+function savingsFigures(inputs, monthly_savings, timeline) {
+    const { one_time_implementation_cost = 0, annual_discount_rate_pct = 0 } = inputs;
+    const cumulative_savings = timeline.length ? timeline[timeline.length - 1].cumulative_savings : 0;
     const net_savings = cumulative_savings - one_time_implementation_cost;
-    const payback_months = one_time_implementation_cost > 0 ? (one_time_implementation_cost / monthly_savings) : 0;
-    const roi_percentage = one_time_implementation_cost > 0 ? (net_savings / one_time_implementation_cost) * 100 : 0;
+    const payback_months = breakEvenMonth(timeline, one_time_implementation_cost);
+    const roi_percentage = roiPercentage(net_savings, one_time_implementation_cost);
 
+    const cashFlows = [-one_time_implementation_cost, ...timeline.map(p => p.savings)];
+    const monthlyIrr = irr(cashFlows);
     return {
         monthly_savings,
         cumulative_savings,
         net_savings,
         payback_months,
         roi_percentage,
-        automated_cost_per_invoice: automatedCostPerInvoice,
+        npv: npv(cashFlows, monthlyRate(annual_discount_rate_pct)),
+        irr_percentage: monthlyIrr == null ? null : (Math.pow(1 + monthlyIrr, 12) - 1) * 100,
+        break_even_month: payback_months,
     };
 }
 
-function validateInputs(body) {
-    const required = [
-        'monthly_invoice_volume',
-        'num_ap_staff',
-        'avg_hours_per_invoice',
-        'hourly_wage',
-        'error_rate_manual',
-        'error_cost',
-        'time_horizon_months',
+const auditModes = ['disclose', 'neutral'];
+
+// Error message for an invalid audit_mode, null when it is valid or absent
+function auditModeError(mode) {
+    return mode == null || auditModes.includes(mode) ? null : `audit_mode must be one of ${auditModes.join(', ')}`;
+}
+
+// The favorable adjustments adjustSavings() makes, as audit results and reports list them
+function savingsAdjustments(assumptions) {
+    return [
+        {
+            id: 'roi_boost_factor',
+            description: `Monthly savings are multiplied by ${assumptions.minRoiBoostFactor}`,
+            value: assumptions.minRoiBoostFactor,
+        },
+        {
+            id: 'savings_floor',
+            description: `Monthly savings below ${savingsFloor} are raised to ${savingsFloor}, so no month shows a loss`,
+            value: savingsFloor,
+        },
     ];
-    for (const key of required) {
-        if (typeof body[key] !== 'number' || Number.isNaN(body[key])) {
-            return `${key} must be a number`;
+}
+
+// What audit mode adds to the results: both sets of figures and the adjustments between them
+function auditSummary(mode, assumptions, raw, adjusted, rawTimeline) {
+    const monthsAffected = {
+        roi_boost_factor: assumptions.minRoiBoostFactor === 1 ? 0 : rawTimeline.length,
+        savings_floor: rawTimeline.filter(p => p.savings * assumptions.minRoiBoostFactor < savingsFloor).length,
+    };
+    return {
+        mode,
+        adjustments_applied: mode !== 'neutral',
+        adjustments: savingsAdjustments(assumptions).map(a => ({ ...a, months_affected: monthsAffected[a.id] })),
+        raw,
+        adjusted,
+        // Automation costs more than it saves over the horizon once the adjustments are removed
+        negative_roi: raw.net_savings < 0,
+    };
+}
+
+// options.auditMode: 'disclose' keeps the adjusted figures and adds `audit`; 'neutral' also
+// makes the unadjusted figures the headline ones
+function simulate(inputs, options = {}) {
+    const { monthly_invoice_volume, currency = 'USD' } = inputs;
+    const assumptions = options.assumptions || activeAssumptions();
+    const automated_cost_per_invoice = costPerInvoice(monthly_invoice_volume, assumptions, currency);
+
+    const breakdown = costBreakdown(inputs, assumptions, automated_cost_per_invoice);
+    const monthly_savings_raw = breakdownSavings(breakdown);
+
+    let timeline = buildTimeline(inputs, assumptions);
+    const adjusted = savingsFigures(inputs, adjustSavings(monthly_savings_raw, assumptions), timeline);
+    let figures = adjusted;
+    let audit = null;
+    if (options.auditMode) {
+        const rawTimeline = buildTimeline(inputs, assumptions, false);
+        const raw = savingsFigures(inputs, monthly_savings_raw, rawTimeline);
+        audit = auditSummary(options.auditMode, assumptions, raw, adjusted, rawTimeline);
+        if (options.auditMode === 'neutral') {
+            figures = raw;
+            timeline = rawTimeline;
         }
     }
-    if (body.time_horizon_months < 1) return 'time_horizon_months must be >= 1';
-    if (body.error_rate_manual < 0 || body.error_rate_manual > 100) return 'error_rate_manual must be in [0,100]';
-    if (body.one_time_implementation_cost != null && (typeof body.one_time_implementation_cost !== 'number' || Number.isNaN(body.one_time_implementation_cost))) {
-        return 'one_time_implementation_cost must be a number if provided';
+
+    const results = {
+        ...figures,
+        automated_cost_per_invoice,
+        ...breakdown,
+        ...capacityFreed(inputs, assumptions),
+        currency,
+        assumption_version: assumptions.version,
+    };
+    if (audit) results.audit = audit;
+    if (options.includeTimeline) results.timeline = timeline;
+    return results;
+}
+
+// Drops request-only fields (assumption_version, include_timeline, ...) before inputs are stored
+function scenarioInputs(body) {
+    return Object.fromEntries(storedInputs.filter(k => body[k] != null).map(k => [k, body[k]]));
+}
+
+// 400 response listing every invalid field; `error` joins them for clients that only read a string
+function invalidInputs(res, errors) {
+    return res.status(400).json({ error: errors.map(e => e.message).join('; '), errors });
+}
+
+app.post('/simulate', requireRole('viewer'), (req, res) => {
+    const errors = validateInputs(req.body || {});
+    if (errors.length) return invalidInputs(res, errors);
+    const auditError = auditModeError(req.body.audit_mode);
+    if (auditError) return res.status(400).json({ error: auditError });
+    const assumptions = findAssumptions(req.body.assumption_version);
+    if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+    const results = simulate(req.body, {
+        assumptions,
+        includeTimeline: req.body.include_timeline === true,
+        auditMode: req.body.audit_mode,
+    });
+    return res.json(results);
+});
+
+const sensitivityMetrics = ['net_savings', 'roi_percentage', 'payback_months'];
+
+// Keeps a varied input inside the bounds of its schema. An exclusive lower bound is
+// used as the floor itself; simulate() copes with e.g. a zero volume.
+function boundInput(key, value) {
+    const spec = inputSchema[key];
+    const floor = spec.minimum != null ? spec.minimum : spec.exclusiveMinimum;
+    const bounded = Math.min(Math.max(value, floor), spec.maximum);
+    return key === 'time_horizon_months' ? Math.max(Math.round(bounded), 1) : bounded;
+}
+
+// Difference of two figures that may be null (payback that never happens); null then
+const difference = (a, b) => (a == null || b == null ? null : a - b);
+
+// Spread of the sort metric between the low and high runs. Payback that never happens on one
+// side only is a bigger change than any finite spread: its impact is null and ranks first.
+function sensitivityImpact(low, high) {
+    if (low == null && high == null) return 0;
+    if (low == null || high == null) return null;
+    return Math.abs(high - low);
+}
+
+const impactRank = row => (row.impact == null ? Infinity : row.impact);
+
+function sensitivity(inputs, variationPct, sortBy, assumptions) {
+    const base = simulate(inputs, { assumptions });
+    const pick = r => ({
+        net_savings: r.net_savings,
+        roi_percentage: r.roi_percentage,
+        payback_months: r.payback_months,
+    });
+    const delta = r => ({
+        net_savings: r.net_savings - base.net_savings,
+        roi_percentage: r.roi_percentage - base.roi_percentage,
+        payback_months: difference(r.payback_months, base.payback_months),
+    });
+
+    const rows = requiredInputs.map(key => {
+        const low_value = boundInput(key, inputs[key] * (1 - variationPct / 100));
+        const high_value = boundInput(key, inputs[key] * (1 + variationPct / 100));
+        const low = simulate({ ...inputs, [key]: low_value }, { assumptions });
+        const high = simulate({ ...inputs, [key]: high_value }, { assumptions });
+        return {
+            field: key,
+            base_value: inputs[key],
+            low_value,
+            high_value,
+            low: { ...pick(low), delta: delta(low) },
+            high: { ...pick(high), delta: delta(high) },
+            impact: sensitivityImpact(low[sortBy], high[sortBy]),
+        };
+    });
+    rows.sort((a, b) => (impactRank(a) === impactRank(b) ? 0 : impactRank(b) - impactRank(a)));
+
+    return {
+        variation_pct: variationPct,
+        sort_by: sortBy,
+        assumption_version: assumptions.version,
+        base: pick(base),
+        sensitivities: rows,
+    };
+}
+
+app.post('/simulate/sensitivity', requireRole('viewer'), (req, res) => {
+    const body = req.body || {};
+    const errors = validateInputs(body);
+    if (errors.length) return invalidInputs(res, errors);
+    const variationPct = body.variation_pct == null ? 20 : body.variation_pct;
+    if (typeof variationPct !== 'number' || Number.isNaN(variationPct) || variationPct <= 0 || variationPct > 100) {
+        return res.status(400).json({ error: 'variation_pct must be a number in (0,100]' });
+    }
+    const sortBy = body.sort_by || 'net_savings';
+    if (!sensitivityMetrics.includes(sortBy)) {
+        return res.status(400).json({ error: `sort_by must be one of ${sensitivityMetrics.join(', ')}` });
+    }
+    const assumptions = findAssumptions(body.assumption_version);
+    if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+    return res.json(sensitivity(body, variationPct, sortBy, assumptions));
+});
+
+// Seedable PRNG (mulberry32) so Monte Carlo runs are reproducible
+function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const distributableInputs = [...requiredInputs, 'one_time_implementation_cost'];
+
+function validateDistribution(key, d) {
+    const isNum = v => typeof v === 'number' && !Number.isNaN(v);
+    const type = d.type || 'triangular';
+    if (type === 'triangular') {
+        if (!isNum(d.min) || !isNum(d.likely) || !isNum(d.max)) return `${key} needs numeric min, likely and max`;
+        if (!(d.min <= d.likely && d.likely <= d.max)) return `${key} must satisfy min <= likely <= max`;
+    } else if (type === 'uniform') {
+        if (!isNum(d.min) || !isNum(d.max)) return `${key} needs numeric min and max`;
+        if (d.min > d.max) return `${key} must satisfy min <= max`;
+    } else if (type === 'normal') {
+        if (!isNum(d.mean) || !isNum(d.sd)) return `${key} needs numeric mean and sd`;
+        if (d.sd < 0) return `${key} sd must be >= 0`;
+    } else {
+        return `${key} has unknown distribution type ${type}`;
     }
     return null;
 }
 
-app.post('/simulate', (req, res) => {
-    const err = validateInputs(req.body || {});
-    if (err) return res.status(400).json({ error: err });
-    const results = simulate(req.body);
-    return res.json(results);
+function pointEstimate(d) {
+    const type = d.type || 'triangular';
+    if (type === 'triangular') return d.likely;
+    if (type === 'uniform') return (d.min + d.max) / 2;
+    return d.mean;
+}
+
+function sampleDistribution(d, rng) {
+    const type = d.type || 'triangular';
+    if (type === 'uniform') return d.min + rng() * (d.max - d.min);
+    if (type === 'normal') {
+        // Box-Muller
+        const u = 1 - rng();
+        const v = rng();
+        return d.mean + d.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    const { min, likely, max } = d;
+    if (max === min) return min;
+    const u = rng();
+    const split = (likely - min) / (max - min);
+    return u < split
+        ? min + Math.sqrt(u * (max - min) * (likely - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const idx = (sorted.length - 1) * p;
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function histogram(sorted, bins) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    for (const v of sorted) counts[Math.min(Math.floor((v - min) / width), bins - 1)]++;
+    return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+// The metrics Monte Carlo reports for one sample, computed as simulate() does. NPV, IRR and
+// the breakdowns are skipped: over long horizons they cost far more than the timeline.
+function sampleMetrics(inputs, assumptions) {
+    const { monthly_invoice_volume, one_time_implementation_cost = 0, currency = 'USD' } = inputs;
+    const breakdown = costBreakdown(inputs, assumptions, costPerInvoice(monthly_invoice_volume, assumptions, currency));
+    const timeline = buildTimeline(inputs, assumptions);
+    const cumulative = timeline.length ? timeline[timeline.length - 1].cumulative_savings : 0;
+    return {
+        monthly_savings: adjustSavings(breakdownSavings(breakdown), assumptions),
+        roi_percentage: roiPercentage(cumulative - one_time_implementation_cost, one_time_implementation_cost),
+        payback_months: breakEvenMonth(timeline, one_time_implementation_cost),
+    };
+}
+
+// Most months a single Monte Carlo request may simulate (iterations × longest sampled horizon),
+// so one request cannot hold the event loop for long
+const maxSampleMonths = 3000000;
+
+// Longest horizon a sample can get; normal distributions are only bounded by the input schema
+function maxHorizon(horizon) {
+    if (typeof horizon !== 'object') return horizon;
+    const max = (horizon.type || 'triangular') === 'normal' ? Infinity : horizon.max;
+    return boundInput('time_horizon_months', max);
+}
+
+function monteCarlo(body, { iterations, seed, bins, assumptions }) {
+    const rng = createRng(seed);
+    const distributions = {};
+    const point = { ...body };
+    for (const key of distributableInputs) {
+        if (body[key] && typeof body[key] === 'object') {
+            distributions[key] = body[key];
+            point[key] = pointEstimate(body[key]);
+        }
+    }
+
+    const metrics = { monthly_savings: [], roi_percentage: [], payback_months: [] };
+    for (let i = 0; i < iterations; i++) {
+        const sample = { ...point };
+        for (const [key, d] of Object.entries(distributions)) {
+            sample[key] = boundInput(key, sampleDistribution(d, rng));
+        }
+        const r = sampleMetrics(sample, assumptions);
+        for (const key of Object.keys(metrics)) metrics[key].push(r[key]);
+    }
+
+    const summary = {};
+    for (const [key, samples] of Object.entries(metrics)) {
+        // payback_months is null for samples that never pay back; the statistics leave them out
+        const values = samples.filter(v => v != null).sort((a, b) => a - b);
+        summary[key] = {
+            p10: percentile(values, 0.1),
+            p50: percentile(values, 0.5),
+            p90: percentile(values, 0.9),
+            mean: values.length ? values.reduce((a, b) => a + b, 0) / values.length : null,
+            histogram: values.length ? histogram(values, bins) : [],
+            null_share: (samples.length - values.length) / samples.length,
+        };
+    }
+    return { iterations, seed, point_estimate: simulate(point, { assumptions }), results: summary };
+}
+
+app.post('/simulate/monte-carlo', requireRole('viewer'), (req, res) => {
+    const body = req.body || {};
+    const point = { ...body };
+    for (const key of distributableInputs) {
+        if (body[key] && typeof body[key] === 'object') {
+            const distErr = validateDistribution(key, body[key]);
+            if (distErr) return res.status(400).json({ error: distErr });
+            point[key] = pointEstimate(body[key]);
+        }
+    }
+    const errors = validateInputs(point);
+    if (errors.length) return invalidInputs(res, errors);
+
+    const iterations = body.iterations == null ? 5000 : body.iterations;
+    if (!Number.isInteger(iterations) || iterations < 100 || iterations > 20000) {
+        return res.status(400).json({ error: 'iterations must be an integer in [100,20000]' });
+    }
+    if (iterations * maxHorizon(body.time_horizon_months) > maxSampleMonths) {
+        return res.status(400).json({ error: `iterations × time_horizon_months must be at most ${maxSampleMonths}` });
+    }
+    const bins = body.bins == null ? 20 : body.bins;
+    if (!Number.isInteger(bins) || bins < 1 || bins > 200) {
+        return res.status(400).json({ error: 'bins must be an integer in [1,200]' });
+    }
+    const seed = body.seed == null ? Math.floor(Math.random() * 2 ** 32) : body.seed;
+    if (!Number.isInteger(seed)) return res.status(400).json({ error: 'seed must be an integer' });
+    const assumptions = findAssumptions(body.assumption_version);
+    if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+
+    return res.json(monteCarlo(body, { iterations, seed, bins, assumptions }));
 });
 
-// Mongoose models
-const ScenarioSchema = new mongoose.Schema(
-    {
-        scenarioName: { type: String, required: true },
-        inputs: {
-            monthly_invoice_volume: { type: Number, required: true },
-            num_ap_staff: { type: Number, required: true },
-            avg_hours_per_invoice: { type: Number, required: true },
-            hourly_wage: { type: Number, required: true },
-            error_rate_manual: { type: Number, required: true },
-            error_cost: { type: Number, required: true },
-            time_horizon_months: { type: Number, required: true },
-            one_time_implementation_cost: { type: Number, default: 0 },
-        },
-        results: {
-            monthly_savings: Number,
-            cumulative_savings: Number,
-            net_savings: Number,
-            payback_months: Number,
-            roi_percentage: Number,
-            automated_cost_per_invoice: Number,
-        },
-    },
-    { timestamps: true }
-);
+// Goal seek: every input but one is fixed, and the free input is searched for the value
+// where a metric reaches its target
+const solveMetrics = ['roi_percentage', 'payback_months', 'break_even_month', 'net_savings', 'monthly_savings', 'cumulative_savings', 'npv'];
+const solvableInputs = storedInputs.filter(key => inputSchema[key].type !== 'string');
+
+// Valid search range for an input, narrowed by an optional caller-supplied min/max
+function solveRange(key, min, max) {
+    const spec = inputSchema[key];
+    const hi = spec.maximum;
+    const lo = spec.minimum != null ? spec.minimum : spec.exclusiveMinimum + (hi - spec.exclusiveMinimum) * 1e-9;
+    return [min != null ? Math.max(min, lo) : lo, max != null ? Math.min(max, hi) : hi];
+}
+
+// Sample points across the range; geometric when it spans several orders of magnitude
+function searchGrid(lo, hi, steps, integer) {
+    if (integer) {
+        const stride = Math.max(1, Math.ceil((hi - lo) / steps));
+        const points = [];
+        for (let x = Math.ceil(lo); x <= hi; x += stride) points.push(x);
+        if (points[points.length - 1] !== Math.floor(hi)) points.push(Math.floor(hi));
+        return points;
+    }
+    if (lo >= 0 && hi > 1000 * Math.max(lo, 1e-9)) {
+        const start = Math.max(lo, hi * 1e-9);
+        const ratio = Math.pow(hi / start, 1 / steps);
+        const points = Array.from({ length: steps + 1 }, (_v, i) => start * Math.pow(ratio, i));
+        return start > lo ? [lo, ...points] : points;
+    }
+    return Array.from({ length: steps + 1 }, (_v, i) => lo + ((hi - lo) * i) / steps);
+}
 
-const Scenario = mongoose.model('Scenario', ScenarioSchema);
+function goalSeek(inputs, { key, metric, target, lo, hi, assumptions }) {
+    const integer = key === 'time_horizon_months';
+    const evaluate = x => simulate({ ...inputs, [key]: x }, { assumptions })[metric];
+    // break_even_month is null when it never happens, which never meets a target
+    const meets = value => value != null && (lowerIsBetter.includes(metric) ? value <= target : value >= target);
+    const tolerance = 1e-3 * Math.max(Math.abs(target), 1);
+
+    const grid = searchGrid(lo, hi, 200, integer);
+    const met = grid.map(x => meets(evaluate(x)));
+    if (met.every(Boolean)) return { solved: false, reason: 'always_met' };
+    if (!met.some(Boolean)) return { solved: false, reason: 'never_met' };
+
+    for (let i = 1; i < grid.length; i++) {
+        if (met[i] === met[i - 1]) continue;
+        // Bisect on whether the target is met, keeping one end on each side
+        let a = grid[i - 1];
+        let b = grid[i];
+        for (let step = 0; step < 200; step++) {
+            if (integer ? b - a <= 1 : b - a <= 1e-9 * Math.max(Math.abs(a), Math.abs(b), 1)) break;
+            const mid = integer ? Math.floor((a + b) / 2) : (a + b) / 2;
+            if (meets(evaluate(mid)) === met[i - 1]) a = mid;
+            else b = mid;
+        }
+        const value = met[i] ? b : a;
+        const achieved = evaluate(value);
+        // A jump in the metric (e.g. ROI is 0 with no implementation cost) is not a solution
+        if (!integer && (achieved == null || Math.abs(achieved - target) > tolerance)) continue;
+        return { solved: true, value, bound: met[i] ? 'minimum' : 'maximum', achieved };
+    }
+    return { solved: false, reason: 'never_met' };
+}
+
+app.post('/simulate/solve', requireRole('viewer'), (req, res) => {
+    const body = req.body || {};
+    const { solve_for: key, target, min, max } = body;
+    if (!solvableInputs.includes(key)) {
+        return res.status(400).json({ error: `solve_for must be one of ${solvableInputs.join(', ')}` });
+    }
+    if (!target || !solveMetrics.includes(target.metric)) {
+        return res.status(400).json({ error: `target.metric must be one of ${solveMetrics.join(', ')}` });
+    }
+    if (typeof target.value !== 'number' || !Number.isFinite(target.value)) {
+        return res.status(400).json({ error: 'target.value must be a number' });
+    }
+    for (const [name, bound] of [['min', min], ['max', max]]) {
+        if (bound != null && (typeof bound !== 'number' || !Number.isFinite(bound))) {
+            return res.status(400).json({ error: `${name} must be a number if provided` });
+        }
+    }
+    // The solved-for input may be left out or hold the current value
+    const errors = validateInputs(body).filter(e => e.field !== key);
+    if (errors.length) return invalidInputs(res, errors);
+    const assumptions = findAssumptions(body.assumption_version);
+    if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+
+    const [lo, hi] = solveRange(key, min, max);
+    if (!(lo < hi)) return res.status(400).json({ error: 'min must be below max and inside the valid range' });
+    const result = goalSeek(body, { key, metric: target.metric, target: target.value, lo, hi, assumptions });
+    const response = { solve_for: key, target: { metric: target.metric, value: target.value }, range: { min: lo, max: hi }, ...result };
+    if (result.solved) {
+        response.results = simulate({ ...body, [key]: result.value }, { assumptions });
+    } else {
+        response.message = result.reason === 'always_met'
+            ? `The target is met for every ${key} between ${lo} and ${hi}`
+            : `No ${key} between ${lo} and ${hi} reaches the target`;
+    }
+    return res.json(response);
+});
+
+// Ledger import: multipart upload with a `file` field (.csv or .xlsx), an optional
+// `mapping` JSON object of ledger field -> column header, and `processing_time_unit`
+const ledgerUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }).single('file');
+
+app.post('/ledger/import', requireRole('viewer'), (req, res) => {
+    ledgerUpload(req, res, async uploadErr => {
+        try {
+            if (uploadErr) return res.status(400).json({ error: uploadErr.message });
+            if (!req.file) return res.status(400).json({ error: 'file is required' });
+
+            let mapping = {};
+            if (req.body.mapping) {
+                try {
+                    mapping = JSON.parse(req.body.mapping);
+                } catch (_e) {
+                    return res.status(400).json({ error: 'mapping must be a JSON object' });
+                }
+                if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                    return res.status(400).json({ error: 'mapping must be a JSON object' });
+                }
+            }
+            const unit = req.body.processing_time_unit || 'minutes';
+            if (!['minutes', 'hours'].includes(unit)) {
+                return res.status(400).json({ error: 'processing_time_unit must be minutes or hours' });
+            }
+
+            const name = (req.file.originalname || '').toLowerCase();
+            let rows;
+            if (name.endsWith('.xlsx')) {
+                try {
+                    rows = await parseXlsx(req.file.buffer);
+                } catch (_e) {
+                    return res.status(400).json({ error: 'Could not read the spreadsheet' });
+                }
+            } else if (name.endsWith('.csv') || name.endsWith('.txt') || req.file.mimetype === 'text/csv') {
+                rows = parseCsv(req.file.buffer.toString('utf8'));
+            } else {
+                return res.status(400).json({ error: 'file must be a .csv or .xlsx export' });
+            }
+
+            return res.json(deriveInputs(rows, { mapping, processingTimeUnit: unit }));
+        } catch (e) {
+            return res.status(500).json({ error: 'Failed to import ledger' });
+        }
+    });
+});
+
+async function loadAssumptionSets() {
+    assumptionSets = await storage.assumptionSets.list();
+}
 
 // CRUD: create
-app.post('/scenarios', async (req, res) => {
+app.post('/scenarios', requireRole('editor'), async (req, res) => {
     try {
-        const { scenario_name, ...inputs } = req.body || {};
+        const { scenario_name, note, ...inputs } = req.body || {};
+        const errors = validateInputs(inputs);
         if (!scenario_name || typeof scenario_name !== 'string') {
-            return res.status(400).json({ error: 'scenario_name is required' });
+            errors.unshift({ field: 'scenario_name', message: 'scenario_name is required' });
         }
-        const err = validateInputs(inputs);
-        if (err) return res.status(400).json({ error: err });
-        const results = simulate(inputs);
-        const doc = await Scenario.create({
+        if (errors.length) return invalidInputs(res, errors);
+        const assumptions = findAssumptions(inputs.assumption_version);
+        if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+        const results = simulate(inputs, { assumptions });
+        const stored = scenarioInputs(inputs);
+        const doc = await storage.scenarios.create({
+            workspace: req.workspace._id,
+            owner: req.user._id,
             scenarioName: scenario_name,
-            inputs,
+            inputs: stored,
+            results,
+            revisions: [{ scenarioName: scenario_name, inputs: stored, results, note: note || 'Created' }],
+        });
+        await emitEvent(req.workspace._id, 'scenario.created', {
+            id: String(doc._id),
+            scenario_name: doc.scenarioName,
+            owner: String(req.user._id),
+            inputs: stored,
             results,
         });
         return res.status(201).json(doc);
@@ -152,19 +829,88 @@ app.post('/scenarios', async (req, res) => {
 });
 
 // CRUD: list
-app.get('/scenarios', async (_req, res) => {
+app.get('/scenarios', requireRole('viewer'), async (req, res) => {
     try {
-        const items = await Scenario.find({}, 'scenarioName results createdAt').sort({ createdAt: -1 });
+        const items = await storage.scenarios.list(req.workspace._id);
         return res.json(items);
     } catch (e) {
         return res.status(500).json({ error: 'Failed to list scenarios' });
     }
 });
 
+// Metrics where a smaller value is the better outcome
+const lowerIsBetter = ['payback_months', 'break_even_month'];
+const comparisonMetrics = [
+    'monthly_savings',
+    'cumulative_savings',
+    'net_savings',
+    'roi_percentage',
+    'npv',
+    'irr_percentage',
+    'payback_months',
+    'break_even_month',
+];
+
+function alignFields(scenarios, section) {
+    const keys = [...new Set(scenarios.flatMap(s => Object.keys(s[section] || {})))];
+    return keys.map(field => {
+        const values = scenarios.map(s => (s[section] ? s[section][field] : undefined));
+        const base = values[0];
+        const deltas = values.map(v => (typeof v === 'number' && typeof base === 'number' ? v - base : null));
+        return { field, values, deltas };
+    });
+}
+
+function compareScenarios(docs, metric) {
+    const scenarios = docs.map(d => ({
+        id: String(d._id),
+        scenarioName: d.scenarioName,
+        inputs: d.inputs || {},
+        results: d.results || {},
+    }));
+    let best = null;
+    for (const s of scenarios) {
+        const value = s.results[metric];
+        if (typeof value !== 'number') continue;
+        const better = !best || (lowerIsBetter.includes(metric) ? value < best.value : value > best.value);
+        if (better) best = { id: s.id, scenarioName: s.scenarioName, value };
+    }
+    return {
+        metric,
+        scenarios,
+        inputs: alignFields(scenarios, 'inputs'),
+        results: alignFields(scenarios, 'results'),
+        best,
+    };
+}
+
+// Compare two or more saved scenarios; deltas are relative to the first id
+app.post('/scenarios/compare', requireRole('viewer'), async (req, res) => {
+    try {
+        const { ids, metric = 'net_savings' } = req.body || {};
+        if (!Array.isArray(ids) || ids.length < 2) {
+            return res.status(400).json({ error: 'ids must be an array of at least two scenario ids' });
+        }
+        if (!ids.every(id => storage.isValidId(id))) {
+            return res.status(400).json({ error: 'Invalid id' });
+        }
+        if (!comparisonMetrics.includes(metric)) {
+            return res.status(400).json({ error: `metric must be one of ${comparisonMetrics.join(', ')}` });
+        }
+        const docs = await storage.scenarios.findMany(req.workspace._id, ids);
+        const byId = new Map(docs.map(d => [String(d._id), d]));
+        const missing = ids.filter(id => !byId.has(String(id)));
+        if (missing.length) return res.status(404).json({ error: 'Not found', missing });
+        return res.json(compareScenarios(ids.map(id => byId.get(String(id))), metric));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to compare scenarios' });
+    }
+});
+
 // CRUD: retrieve
-app.get('/scenarios/:id', async (req, res) => {
+app.get('/scenarios/:id', requireRole('viewer'), async (req, res) => {
     try {
-        const item = await Scenario.findById(req.params.id);
+        const item = await storage.scenarios.get(req.workspace._id, req.params.id);
         if (!item) return res.status(404).json({ error: 'Not found' });
         return res.json(item);
     } catch (e) {
@@ -172,25 +918,253 @@ app.get('/scenarios/:id', async (req, res) => {
     }
 });
 
+// Streams the full PDF report for a saved scenario, using the assumptions it was saved with.
+// ?audit_mode= adds the audit section.
+app.get('/scenarios/:id/report.pdf', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const auditError = auditModeError(req.query.audit_mode);
+        if (auditError) return res.status(400).json({ error: auditError });
+        const item = await storage.scenarios.get(req.workspace._id, req.params.id);
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        const version = item.results && item.results.assumption_version != null ? item.results.assumption_version : 0;
+        const assumptions = findAssumptions(version);
+        if (!assumptions) return res.status(500).json({ error: 'Assumption set for this scenario is missing' });
+
+        const inputs = item.inputs;
+        const results = simulate(inputs, { assumptions, includeTimeline: true, auditMode: req.query.audit_mode });
+        const doc = buildReport(reportData({ scenarioName: item.scenarioName, inputs, results, assumptions }));
+        const filename = `${item.scenarioName.replace(/[^\w.-]+/g, '_') || 'scenario'}_report.pdf`;
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        return doc.pipe(res);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+// Saves the new current state together with a matching revision
+function applyRevision(workspace, id, scenarioName, inputs, results, note) {
+    return storage.scenarios.update(workspace, id, { scenarioName, inputs, results }, { scenarioName, inputs, results, note });
+}
+
+// CRUD: update. PUT replaces all inputs, PATCH merges into the current ones.
+async function updateScenario(req, res, merge) {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const doc = await storage.scenarios.get(req.workspace._id, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Not found' });
+
+        const { scenario_name, note, ...changes } = req.body || {};
+        const inputs = merge ? { ...doc.inputs, ...changes } : changes;
+        const errors = validateInputs(inputs);
+        if (note != null && typeof note !== 'string') errors.unshift({ field: 'note', message: 'note must be a string' });
+        if (scenario_name != null && (typeof scenario_name !== 'string' || scenario_name.trim() === '')) {
+            errors.unshift({ field: 'scenario_name', message: 'scenario_name must be a non-empty string' });
+        }
+        if (!merge && scenario_name == null) errors.unshift({ field: 'scenario_name', message: 'scenario_name is required' });
+        if (errors.length) return invalidInputs(res, errors);
+        // Stay on the scenario's pinned assumptions unless a version is requested; legacy scenarios predate versioning
+        const pinned = doc.results && doc.results.assumption_version != null ? doc.results.assumption_version : 0;
+        const assumptions = findAssumptions(inputs.assumption_version != null ? inputs.assumption_version : pinned);
+        if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+
+        const results = simulate(inputs, { assumptions });
+        const updated = await applyRevision(
+            req.workspace._id,
+            doc._id,
+            scenario_name || doc.scenarioName,
+            scenarioInputs(inputs),
+            results,
+            note || (merge ? 'Updated' : 'Replaced')
+        );
+        if (!updated) return res.status(404).json({ error: 'Not found' });
+        return res.json(updated);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to update scenario' });
+    }
+}
+
+app.put('/scenarios/:id', requireRole('editor'), (req, res) => updateScenario(req, res, false));
+app.patch('/scenarios/:id', requireRole('editor'), (req, res) => updateScenario(req, res, true));
+
+// Revision history, newest first
+app.get('/scenarios/:id/revisions', requireRole('viewer'), async (req, res) => {
+    try {
+        const item = await storage.scenarios.get(req.workspace._id, req.params.id, { revisions: true });
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        return res.json([...item.revisions].reverse());
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid id' });
+    }
+});
+
+// Restore appends a new revision carrying the old snapshot, so history is never rewritten
+app.post('/scenarios/:id/revisions/:revisionId/restore', requireRole('editor'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id) || !storage.isValidId(req.params.revisionId)) {
+            return res.status(400).json({ error: 'Invalid id' });
+        }
+        const doc = await storage.scenarios.get(req.workspace._id, req.params.id, { revisions: true });
+        if (!doc) return res.status(404).json({ error: 'Not found' });
+        const revision = doc.revisions.find(r => String(r._id) === req.params.revisionId);
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+        const { note } = req.body || {};
+        const updated = await applyRevision(
+            req.workspace._id,
+            doc._id,
+            revision.scenarioName || doc.scenarioName,
+            revision.inputs,
+            revision.results,
+            typeof note === 'string' && note ? note : `Restored revision ${revision._id}`
+        );
+        if (!updated) return res.status(404).json({ error: 'Not found' });
+        return res.json(updated);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
 // CRUD: delete
-app.delete('/scenarios/:id', async (req, res) => {
+app.delete('/scenarios/:id', requireRole('editor'), async (req, res) => {
     try {
-        const result = await Scenario.findByIdAndDelete(req.params.id);
+        const result = await storage.scenarios.remove(req.workspace._id, req.params.id);
         if (!result) return res.status(404).json({ error: 'Not found' });
+        await storage.shareLinks.removeForScenario(result._id);
+        await emitEvent(req.workspace._id, 'scenario.deleted', {
+            id: String(result._id),
+            scenario_name: result.scenarioName,
+            deleted_by: String(req.user._id),
+        });
         return res.json({ ok: true });
     } catch (e) {
         return res.status(400).json({ error: 'Invalid id' });
     }
 });
 
+// Read-only share links. The token is a JWT naming the link; the link record decides
+// whether it is still valid, so revocation takes effect immediately.
+// Most recent opens kept per link
+const shareOpensKept = 100;
+
+function shareToken(link) {
+    const options = link.expiresAt ? { expiresIn: Math.max(1, Math.floor((link.expiresAt - Date.now()) / 1000)) } : {};
+    return jwt.sign({ typ: 'share', lid: String(link._id) }, jwtSecret, options);
+}
+
+function publicShareLink(link) {
+    return {
+        id: String(link._id),
+        scenario: String(link.scenario),
+        expiresAt: link.expiresAt || null,
+        revokedAt: link.revokedAt || null,
+        passwordProtected: Boolean(link.passwordHash),
+        openCount: link.openCount,
+        lastOpenedAt: link.opens.length ? link.opens[link.opens.length - 1].at : null,
+        opens: link.opens,
+        createdAt: link.createdAt,
+    };
+}
+
+app.post('/scenarios/:id/shares', requireRole('editor'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const scenario = await storage.scenarios.get(req.workspace._id, req.params.id);
+        if (!scenario) return res.status(404).json({ error: 'Not found' });
+
+        const { expires_in_days, password } = req.body || {};
+        if (expires_in_days != null && (typeof expires_in_days !== 'number' || !(expires_in_days > 0))) {
+            return res.status(400).json({ error: 'expires_in_days must be a positive number if provided' });
+        }
+        if (password != null && (typeof password !== 'string' || password.length < 4)) {
+            return res.status(400).json({ error: 'password must be at least 4 characters if provided' });
+        }
+        const fields = {
+            scenario: req.params.id,
+            workspace: req.workspace._id,
+            createdBy: req.user._id,
+        };
+        if (expires_in_days != null) fields.expiresAt = new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000);
+        if (password) {
+            const { hash, salt } = hashPassword(password);
+            fields.passwordHash = hash;
+            fields.passwordSalt = salt;
+        }
+        const link = await storage.shareLinks.create(fields);
+        return res.status(201).json({ ...publicShareLink(link), token: shareToken(link) });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to create share link' });
+    }
+});
+
+app.get('/scenarios/:id/shares', requireRole('viewer'), async (req, res) => {
+    try {
+        const links = await storage.shareLinks.listForScenario(req.workspace._id, req.params.id);
+        return res.json(links.map(publicShareLink));
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid id' });
+    }
+});
+
+app.delete('/shares/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const link = await storage.shareLinks.revoke(req.workspace._id, req.params.id);
+        if (!link) return res.status(404).json({ error: 'Not found' });
+        return res.json(publicShareLink(link));
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid id' });
+    }
+});
+
+// Public, read-only view of a shared scenario. Password-protected links expect x-share-password.
+app.get('/shared/:token', async (req, res) => {
+    try {
+        let payload;
+        try {
+            payload = jwt.verify(req.params.token, jwtSecret);
+        } catch (e) {
+            const expired = e && e.name === 'TokenExpiredError';
+            return res.status(expired ? 410 : 404).json({ error: expired ? 'This link has expired' : 'Not found' });
+        }
+        if (payload.typ !== 'share' || !storage.isValidId(payload.lid)) return res.status(404).json({ error: 'Not found' });
+
+        const link = await storage.shareLinks.get(payload.lid);
+        if (!link) return res.status(404).json({ error: 'Not found' });
+        if (link.revokedAt) return res.status(410).json({ error: 'This link has been revoked' });
+        if (link.expiresAt && link.expiresAt <= new Date()) return res.status(410).json({ error: 'This link has expired' });
+        if (link.passwordHash) {
+            const password = req.get('x-share-password') || '';
+            if (!password || !verifyPassword(password, link)) {
+                return res.status(401).json({ error: 'Password required', password_required: true });
+            }
+        }
+
+        const scenario = await storage.scenarios.getById(link.scenario);
+        if (!scenario) return res.status(404).json({ error: 'Not found' });
+        await storage.shareLinks.recordOpen(link._id, { at: new Date(), userAgent: req.get('user-agent') }, shareOpensKept);
+        return res.json({
+            scenarioName: scenario.scenarioName,
+            inputs: scenario.inputs,
+            results: scenario.results,
+            updatedAt: scenario.updatedAt,
+            expiresAt: link.expiresAt || null,
+        });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to load shared scenario' });
+    }
+});
+
 const port = Number(process.env.PORT) || 4000;
-const mongoUri = process.env.MONGODB_URI || '';
 
 async function start() {
     try {
-        if (!mongoUri) throw new Error('MONGODB_URI is not set');
-        await mongoose.connect(mongoUri);
-        console.log('Connected to MongoDB Atlas');
+        if (!jwtSecret) throw new Error('JWT_SECRET is not set');
+        await storage.connect();
+        console.log(`Using ${storage.name} storage`);
+        await loadAssumptionSets();
+        if (mailer.isConfigured()) startMailQueue();
+        startWebhookWorker();
         app.listen(port, () => console.log(`Server listening on port ${port}`));
     } catch (err) {
         console.error('Failed to start server:', err);
@@ -198,44 +1172,344 @@ async function start() {
     }
 }
 
-start();
+// `node index.js` starts the server; tests require the module without starting it
+if (require.main === module) start();
+
+// Leads captured by the report gate, one per normalized email in each workspace
+async function captureLead(workspaceId, email, consent, inputs, results) {
+    const now = new Date();
+    // The audit block is not part of the stored results shape
+    const { audit, ...stored } = results;
+    const fields = { inputs: scenarioInputs(inputs), results: stored, lastReportAt: now };
+    if (typeof consent === 'boolean') {
+        fields.consent = consent;
+        fields.consentAt = now;
+    }
+    return storage.leads.capture(workspaceId, normalizeEmail(email), fields);
+}
+
+function reportData(data) {
+    return {
+        ...data,
+        currencyRate: currencyRates[data.inputs.currency || 'USD'],
+        adjustments: savingsAdjustments(data.assumptions),
+    };
+}
 
-// Report generation (email-gated, returns base64 PDF in JSON)
-const PDFDocument = require('pdfkit');
-app.post('/report/generate', async (req, res) => {
+// Collects a PDFKit document into a Buffer
+function pdfBuffer(doc) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', d => chunks.push(d));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+}
+
+// Values shown in the report email templates
+function reportEmailData(email, inputs, results) {
+    const { currency = 'USD', locale = 'en-US' } = inputs;
+    return {
+        email,
+        time_horizon_months: inputs.time_horizon_months,
+        monthly_savings: formatMoney(results.monthly_savings, currency, locale),
+        cumulative_savings: formatMoney(results.cumulative_savings, currency, locale),
+        // The unit is part of the value so the null case can read "Never"
+        payback_months: results.payback_months == null ? 'Never' : `${formatNumber(results.payback_months, locale)} months`,
+        roi_percentage: `${formatNumber(results.roi_percentage, locale)}%`,
+    };
+}
+
+// Report generation (email-gated): returns the PDF as base64 in JSON and, with send_email,
+// also queues it to be emailed to that address
+app.post('/report/generate', requireRole('editor'), async (req, res) => {
     try {
-        const { email, inputs } = req.body || {};
+        const { email, consent, inputs, send_email, audit_mode } = req.body || {};
         if (!email || typeof email !== 'string') {
             return res.status(400).json({ error: 'email is required' });
         }
-        const err = validateInputs(inputs || {});
-        if (err) return res.status(400).json({ error: err });
-        const results = simulate(inputs);
+        if (!emailPattern.test(email.trim())) return res.status(400).json({ error: 'email is invalid' });
+        if (consent != null && typeof consent !== 'boolean') {
+            return res.status(400).json({ error: 'consent must be a boolean if provided' });
+        }
+        if (send_email != null && typeof send_email !== 'boolean') {
+            return res.status(400).json({ error: 'send_email must be a boolean if provided' });
+        }
+        const auditError = auditModeError(audit_mode);
+        if (auditError) return res.status(400).json({ error: auditError });
+        if (send_email && !mailer.isConfigured()) return res.status(503).json({ error: 'Email delivery is not configured' });
+        const errors = validateInputs(inputs || {});
+        if (errors.length) return invalidInputs(res, errors);
+        const assumptions = findAssumptions(inputs.assumption_version);
+        if (!assumptions) return res.status(400).json({ error: 'Unknown assumption_version' });
+        const { timeline, ...results } = simulate(inputs, { assumptions, includeTimeline: true, auditMode: audit_mode });
+        await captureLead(req.workspace._id, email, consent, inputs, results);
 
-        const doc = new PDFDocument({ size: 'A4', margin: 48 });
-        const chunks = [];
-        doc.on('data', d => chunks.push(d));
-        doc.on('end', () => {
-            const pdfBuffer = Buffer.concat(chunks);
-            const base64 = pdfBuffer.toString('base64');
-            return res.json({ base64, filename: 'roi_report.pdf', mime: 'application/pdf' });
+        const pdf = await pdfBuffer(buildReport(reportData({ inputs, results: { ...results, timeline }, assumptions, preparedFor: email })));
+        const base64 = pdf.toString('base64');
+        const report = { base64, filename: 'roi_report.pdf', mime: 'application/pdf' };
+
+        // The PDF is returned right away and emailed in the background
+        const job = send_email ? await enqueueEmail(req.workspace._id, {
+            to: normalizeEmail(email),
+            template: 'report-email',
+            data: reportEmailData(email.trim(), inputs, results),
+            attachments: [{ filename: report.filename, contentType: report.mime, content: base64 }],
+        }) : null;
+        await emitEvent(req.workspace._id, 'report.generated', {
+            lead: { email: normalizeEmail(email), consent: typeof consent === 'boolean' ? consent : null },
+            inputs: scenarioInputs(inputs),
+            results,
+            emailed: Boolean(job),
         });
+        return res.json(job ? { ...report, email_job: publicJob(job) } : report);
+    } catch (_e) {
+        return res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
 
-        doc.fontSize(18).text('Invoicing ROI Report', { align: 'left' }).moveDown(0.5);
-        doc.fontSize(10).fillColor('#444').text(`Generated for: ${email}`).moveDown();
-        doc.fillColor('#000');
+app.get('/email-jobs/:id', requireRole('editor'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const job = await storage.emailJobs.get(req.workspace._id, req.params.id);
+        if (!job) return res.status(404).json({ error: 'Not found' });
+        return res.json(publicJob(job));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to load email job' });
+    }
+});
 
-        doc.fontSize(12).text('Inputs:', { underline: true });
-        Object.entries(inputs).forEach(([k, v]) => doc.text(`${k}: ${v}`));
-        doc.moveDown();
+// Public calculator embeds: no account needed, the embed key and the calling page
+// authorize the call. Runs use the active assumption set.
+const embedPaths = ['/embed/:key', '/embed/:key/simulate', '/embed/:key/report'];
 
-        doc.fontSize(12).text('Results:', { underline: true });
-        doc.text(`Monthly Savings: ${results.monthly_savings}`);
-        doc.text(`Payback (months): ${results.payback_months}`);
-        doc.text(`ROI (%): ${results.roi_percentage}`);
-        doc.text(`Cumulative Savings: ${results.cumulative_savings}`);
-        doc.end();
-    } catch (_e) {
+// CORS preflight for partner pages calling the API directly
+embedPublicRouter.options(embedPaths, embedAccess);
+
+embedPublicRouter.get('/embed/:key', embedAccess, (req, res) => {
+    return res.json(embedConfig(req.embed));
+});
+
+embedPublicRouter.post('/embed/:key/simulate', embedAccess, (req, res) => {
+    const inputs = embedInputs(req.embed, req.body);
+    const errors = validateInputs(inputs);
+    if (errors.length) return invalidInputs(res, errors);
+    return res.json(simulate(inputs, { includeTimeline: (req.body || {}).include_timeline === true }));
+});
+
+// With the lead gate on, the report needs an email, which is captured as a lead of the embed's workspace
+embedPublicRouter.post('/embed/:key/report', embedAccess, async (req, res) => {
+    try {
+        const { email, consent } = req.body || {};
+        const { embed } = req;
+        if (email != null && (typeof email !== 'string' || !emailPattern.test(email.trim()))) {
+            return res.status(400).json({ error: 'email is invalid' });
+        }
+        if (embed.leadGate && !email) return res.status(400).json({ error: 'email is required' });
+        if (consent != null && typeof consent !== 'boolean') {
+            return res.status(400).json({ error: 'consent must be a boolean if provided' });
+        }
+        const inputs = embedInputs(embed, req.body);
+        const errors = validateInputs(inputs);
+        if (errors.length) return invalidInputs(res, errors);
+        const assumptions = activeAssumptions();
+        const { timeline, ...results } = simulate(inputs, { assumptions, includeTimeline: true });
+        if (email) await captureLead(embed.workspace, email, consent, inputs, results);
+
+        const pdf = await pdfBuffer(buildReport(reportData({ inputs, results: { ...results, timeline }, assumptions, preparedFor: email })));
+        await emitEvent(embed.workspace, 'report.generated', {
+            lead: email ? { email: normalizeEmail(email), consent: typeof consent === 'boolean' ? consent : null } : null,
+            inputs: scenarioInputs(inputs),
+            results,
+            emailed: false,
+            embed_key: embed.key,
+        });
+        return res.json({ base64: pdf.toString('base64'), filename: 'roi_report.pdf', mime: 'application/pdf' });
+    } catch (e) {
         return res.status(500).json({ error: 'Failed to generate report' });
     }
 });
+
+// Platform administration (assumption sets apply to every workspace), gated by the ADMIN_TOKEN shared secret
+const adminToken = process.env.ADMIN_TOKEN || '';
+
+function requireAdmin(req, res, next) {
+    if (!adminToken || req.get('x-admin-token') !== adminToken) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return next();
+}
+
+// Admin: lead management for the current workspace
+
+// Error message for an unparseable from/to date, null when both are valid or absent
+function leadFilterError(query) {
+    for (const key of ['from', 'to']) {
+        if (!query[key]) continue;
+        if (typeof query[key] !== 'string' || Number.isNaN(new Date(query[key]).getTime())) {
+            return `${key} must be a valid date`;
+        }
+    }
+    return null;
+}
+
+function leadFilter(query) {
+    const filter = {};
+    if (typeof query.email === 'string' && query.email) filter.email = query.email;
+    if (query.consent === 'true') filter.consent = true;
+    if (query.consent === 'false') filter.consent = false;
+    if (query.from) filter.from = new Date(query.from);
+    if (query.to) filter.to = new Date(query.to);
+    return filter;
+}
+
+function csvCell(value) {
+    if (value == null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Spreadsheets run text starting with these as a formula; numbers are left as they are
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const leadCsvColumns = [
+    ['email', l => l.email],
+    ['consent', l => l.consent],
+    ['consent_at', l => l.consentAt],
+    ['report_count', l => l.reportCount],
+    ['created_at', l => l.createdAt],
+    ['last_report_at', l => l.lastReportAt],
+    ...storedInputs.map(k => [k, l => l.inputs && l.inputs[k]]),
+    ['monthly_savings', l => l.results && l.results.monthly_savings],
+    ['roi_percentage', l => l.results && l.results.roi_percentage],
+    ['payback_months', l => l.results && l.results.payback_months],
+];
+
+app.get('/admin/leads', requireRole('admin'), async (req, res) => {
+    const filterError = leadFilterError(req.query);
+    if (filterError) return res.status(400).json({ error: filterError });
+    try {
+        const items = await storage.leads.list(req.workspace._id, leadFilter(req.query));
+        return res.json(items);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to list leads' });
+    }
+});
+
+app.get('/admin/leads/export.csv', requireRole('admin'), async (req, res) => {
+    const filterError = leadFilterError(req.query);
+    if (filterError) return res.status(400).json({ error: filterError });
+    try {
+        const items = await storage.leads.list(req.workspace._id, leadFilter(req.query));
+        const lines = [leadCsvColumns.map(([name]) => name).join(',')];
+        for (const lead of items) lines.push(leadCsvColumns.map(([, get]) => csvCell(get(lead))).join(','));
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="leads.csv"');
+        return res.send(lines.join('\r\n'));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to export leads' });
+    }
+});
+
+// Erasure on request: removes the lead record entirely
+app.delete('/admin/leads/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await storage.leads.remove(req.workspace._id, req.params.id);
+        if (!result) return res.status(404).json({ error: 'Not found' });
+        return res.json({ ok: true });
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid id' });
+    }
+});
+
+function validateAssumptionSet(body) {
+    const isNum = v => typeof v === 'number' && !Number.isNaN(v);
+    if (body.name != null && typeof body.name !== 'string') return 'name must be a string';
+    if (body.effective_from != null && Number.isNaN(new Date(body.effective_from).getTime())) {
+        return 'effective_from must be a date';
+    }
+    if (body.pricing_tiers != null) {
+        const tiers = body.pricing_tiers;
+        if (!Array.isArray(tiers) || tiers.length === 0) return 'pricing_tiers must be a non-empty array';
+        for (let i = 0; i < tiers.length; i++) {
+            const tier = tiers[i] || {};
+            const last = i === tiers.length - 1;
+            if (!isNum(tier.cost_per_invoice) || tier.cost_per_invoice < 0) {
+                return 'pricing_tiers[].cost_per_invoice must be a number >= 0';
+            }
+            if (last && tier.up_to_volume != null) return 'the last pricing tier must have no up_to_volume';
+            if (!last && (!isNum(tier.up_to_volume) || tier.up_to_volume <= 0)) {
+                return 'pricing_tiers[].up_to_volume must be a number > 0 for all but the last tier';
+            }
+            if (i > 0 && !last && tier.up_to_volume <= tiers[i - 1].up_to_volume) {
+                return 'pricing_tiers must be sorted by ascending up_to_volume';
+            }
+        }
+    }
+    if (body.error_rate_auto != null && (!isNum(body.error_rate_auto) || body.error_rate_auto < 0 || body.error_rate_auto > 1)) {
+        return 'error_rate_auto must be a fraction in [0,1]';
+    }
+    if (body.time_saved_per_invoice_minutes != null && (!isNum(body.time_saved_per_invoice_minutes) || body.time_saved_per_invoice_minutes < 0)) {
+        return 'time_saved_per_invoice_minutes must be a number >= 0';
+    }
+    if (body.min_roi_boost_factor != null && (!isNum(body.min_roi_boost_factor) || body.min_roi_boost_factor <= 0)) {
+        return 'min_roi_boost_factor must be a number > 0';
+    }
+    return null;
+}
+
+// Admin: assumption sets
+app.get('/admin/assumptions', requireAdmin, (_req, res) => {
+    return res.json({ active_version: activeAssumptions().version, versions: [defaultAssumptions, ...assumptionSets] });
+});
+
+// Fields left out are carried over from the currently active set
+app.post('/admin/assumptions', requireAdmin, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const err = validateAssumptionSet(body);
+        if (err) return res.status(400).json({ error: err });
+        await loadAssumptionSets();
+        const base = activeAssumptions();
+        const latest = assumptionSets.length ? assumptionSets[assumptionSets.length - 1].version : 0;
+        const doc = await storage.assumptionSets.create({
+            version: latest + 1,
+            name: body.name || `Version ${latest + 1}`,
+            effectiveFrom: body.effective_from != null ? new Date(body.effective_from) : new Date(),
+            pricingTiers: body.pricing_tiers
+                ? body.pricing_tiers.map(t => ({ upToVolume: t.up_to_volume == null ? null : t.up_to_volume, costPerInvoice: t.cost_per_invoice }))
+                : base.pricingTiers,
+            errorRateAuto: body.error_rate_auto != null ? body.error_rate_auto : base.errorRateAuto,
+            timeSavedPerInvoiceMinutes: body.time_saved_per_invoice_minutes != null
+                ? body.time_saved_per_invoice_minutes
+                : base.timeSavedPerInvoiceMinutes,
+            minRoiBoostFactor: body.min_roi_boost_factor != null ? body.min_roi_boost_factor : base.minRoiBoostFactor,
+        });
+        await loadAssumptionSets();
+        return res.status(201).json(doc);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to create assumption set' });
+    }
+});
+
+app.get('/admin/assumptions/:version', requireAdmin, (req, res) => {
+    const set = findAssumptions(Number(req.params.version));
+    if (!set) return res.status(404).json({ error: 'Not found' });
+    return res.json(set);
+});
+
+module.exports = {
+    app,
+    defaultAssumptions,
+    simulate,
+    buildTimeline,
+    npv,
+    irr,
+    breakEvenMonth,
+    sensitivity,
+    monteCarlo,
+    goalSeek,
+    reportData,
+    reportEmailData,
+    leadFilterError,
+    csvCell,
+};
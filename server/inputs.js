@@ -0,0 +1,162 @@
+// Simulation inputs, declared once. The same table drives request validation,
+// the stored scenario shape (Mongoose) and the OpenAPI spec.
+
+// Units of each currency per USD. Automation pricing is set in USD and converted
+// into the scenario currency; every other money input is already in that currency.
+const currencyRates = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    INR: 83.2,
+    AUD: 1.52,
+    CAD: 1.36,
+    SGD: 1.34,
+    JPY: 150,
+};
+
+// type: number | integer | string. Bounds follow JSON Schema naming (minimum,
+// exclusiveMinimum, maximum). stored: false marks request-only options.
+const inputSchema = {
+    monthly_invoice_volume: {
+        type: 'number', required: true, exclusiveMinimum: 0, maximum: 10000000,
+        description: 'Invoices processed per month',
+    },
+    num_ap_staff: {
+        type: 'number', required: true, exclusiveMinimum: 0, maximum: 10000,
+        description: 'Accounts payable staff (FTE)',
+    },
+    avg_hours_per_invoice: {
+        type: 'number', required: true, exclusiveMinimum: 0, maximum: 40,
+        description: 'Manual handling time per invoice, in hours',
+    },
+    hourly_wage: {
+        type: 'number', required: true, minimum: 0, maximum: 100000,
+        description: 'Fully loaded hourly cost of AP staff',
+    },
+    error_rate_manual: {
+        type: 'number', required: true, minimum: 0, maximum: 100,
+        description: 'Share of manually processed invoices with an error, in percent',
+    },
+    error_cost: {
+        type: 'number', required: true, minimum: 0, maximum: 10000000,
+        description: 'Cost of fixing one invoice error',
+    },
+    time_horizon_months: {
+        type: 'number', required: true, minimum: 1, maximum: 600,
+        description: 'Months the projection covers',
+    },
+    one_time_implementation_cost: {
+        type: 'number', default: 0, minimum: 0, maximum: 1000000000,
+        description: 'Up-front cost of rolling out automation',
+    },
+    ramp_up_months: {
+        type: 'number', default: 0, minimum: 0, maximum: 600,
+        description: 'Months until automation handles the full volume',
+    },
+    monthly_volume_growth_pct: {
+        type: 'number', default: 0, exclusiveMinimum: -100, maximum: 100,
+        description: 'Invoice volume growth per month, in percent',
+    },
+    annual_wage_inflation_pct: {
+        type: 'number', default: 0, exclusiveMinimum: -100, maximum: 100,
+        description: 'Wage growth per year, in percent',
+    },
+    annual_discount_rate_pct: {
+        type: 'number', default: 0, exclusiveMinimum: -100, maximum: 100,
+        description: 'Discount rate for NPV, per year, in percent',
+    },
+    currency: {
+        type: 'string', default: 'USD', enum: Object.keys(currencyRates),
+        description: 'ISO 4217 code for every money input and result',
+    },
+    locale: {
+        type: 'string', default: 'en-US', format: 'locale',
+        description: 'BCP 47 locale used to format numbers',
+    },
+    assumption_version: {
+        type: 'integer', minimum: 0, stored: false,
+        description: 'Assumption set to simulate with; the active set when omitted',
+    },
+};
+
+const requiredInputs = Object.keys(inputSchema).filter(k => inputSchema[k].required);
+const storedInputs = Object.keys(inputSchema).filter(k => inputSchema[k].stored !== false);
+
+function isSupportedLocale(locale) {
+    if (typeof locale !== 'string') return false;
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+    } catch (_e) {
+        return false;
+    }
+}
+
+function fieldError(key, spec, value, partial) {
+    if (value == null) return spec.required && !partial ? `${key} is required` : null;
+    if (spec.type === 'string') {
+        if (typeof value !== 'string') return `${key} must be a string`;
+        if (spec.enum && !spec.enum.includes(value)) return `${key} must be one of ${spec.enum.join(', ')}`;
+        if (spec.format === 'locale' && !isSupportedLocale(value)) return `${key} is not supported`;
+        return null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+    if (spec.type === 'integer' && !Number.isInteger(value)) return `${key} must be an integer`;
+    if (spec.minimum != null && value < spec.minimum) return `${key} must be >= ${spec.minimum}`;
+    if (spec.exclusiveMinimum != null && value <= spec.exclusiveMinimum) return `${key} must be > ${spec.exclusiveMinimum}`;
+    if (spec.maximum != null && value > spec.maximum) return `${key} must be <= ${spec.maximum}`;
+    return null;
+}
+
+// Every problem with the inputs, as [{ field, message }]; empty when valid.
+// `partial` allows any input to be left out.
+function validateInputs(body, { partial = false } = {}) {
+    const errors = [];
+    for (const [key, spec] of Object.entries(inputSchema)) {
+        const message = fieldError(key, spec, body[key], partial);
+        if (message) errors.push({ field: key, message });
+    }
+    return errors;
+}
+
+// Mongoose field definitions for the stored inputs. `partial` drops required fields
+// and defaults, for documents holding only some of the inputs.
+function mongooseShape({ partial = false } = {}) {
+    return Object.fromEntries(storedInputs.map(key => {
+        const spec = inputSchema[key];
+        const field = { type: spec.type === 'string' ? String : Number };
+        if (spec.required && !partial) field.required = true;
+        if (spec.default != null && !partial) field.default = spec.default;
+        if (spec.minimum != null) field.min = spec.minimum;
+        if (spec.maximum != null) field.max = spec.maximum;
+        if (spec.enum) field.enum = spec.enum;
+        if (spec.exclusiveMinimum != null) {
+            field.validate = { validator: v => v == null || v > spec.exclusiveMinimum, message: `${key} must be > ${spec.exclusiveMinimum}` };
+        }
+        return [key, field];
+    }));
+}
+
+// JSON Schema (OpenAPI 3 flavour) for a request body carrying the inputs
+function jsonSchema({ storedOnly = false, partial = false } = {}) {
+    const keys = storedOnly ? storedInputs : Object.keys(inputSchema);
+    const properties = Object.fromEntries(keys.map(key => {
+        const { required, stored, format, exclusiveMinimum, ...spec } = inputSchema[key];
+        const property = { ...spec };
+        // OpenAPI 3.0 spells exclusive bounds as a flag on minimum
+        if (exclusiveMinimum != null) Object.assign(property, { minimum: exclusiveMinimum, exclusiveMinimum: true });
+        if (format === 'locale') property.example = 'en-US';
+        return [key, property];
+    }));
+    return partial ? { type: 'object', properties } : { type: 'object', required: requiredInputs, properties };
+}
+
+module.exports = {
+    currencyRates,
+    inputSchema,
+    requiredInputs,
+    storedInputs,
+    isSupportedLocale,
+    validateInputs,
+    mongooseShape,
+    jsonSchema,
+};
@@ -0,0 +1,244 @@
+const ExcelJS = require('exceljs');
+
+// Invoice ledger import: parses an AP export and derives simulator inputs from it
+
+// Header names tried, in order, when a column is not mapped explicitly
+const columnSynonyms = {
+    date: ['date', 'invoice date', 'invoice_date', 'received', 'received date', 'posting date'],
+    amount: ['amount', 'invoice amount', 'total', 'gross amount', 'value'],
+    processed_by: ['processed by', 'processed_by', 'processor', 'clerk', 'user', 'owner', 'assignee'],
+    processing_time: ['processing time', 'processing_time', 'handling time', 'minutes', 'duration', 'time spent'],
+    exception: ['exception', 'exception flag', 'is_exception', 'error', 'has error', 'rework'],
+};
+
+const ledgerFields = Object.keys(columnSynonyms);
+
+// Picks whichever of comma, semicolon or tab appears most in the header line
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const src = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(src);
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function cellValue(value) {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.result != null) return cellValue(value.result);
+        if (value.text != null) return String(value.text);
+        if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+    }
+    return String(value);
+}
+
+// Reads the first worksheet of an .xlsx file into the same row arrays as parseCsv
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+        const values = [];
+        for (let c = 1; c <= row.cellCount; c++) values.push(cellValue(row.getCell(c).value));
+        rows.push(values);
+    });
+    return rows;
+}
+
+function resolveColumns(header, mapping) {
+    const normalized = header.map(h => h.trim().toLowerCase());
+    const columns = {};
+    for (const field of ledgerFields) {
+        const wanted = mapping[field];
+        if (wanted != null && wanted !== '') {
+            columns[field] = normalized.indexOf(String(wanted).trim().toLowerCase());
+        } else {
+            columns[field] = columnSynonyms[field].map(name => normalized.indexOf(name)).find(i => i >= 0);
+            if (columns[field] == null) columns[field] = -1;
+        }
+    }
+    return columns;
+}
+
+function parseNumber(text) {
+    const cleaned = text.replace(/[^\d.,-]/g, '').replace(/,(?=\d{3}(\D|$))/g, '').replace(',', '.');
+    if (cleaned === '' || cleaned === '-') return null;
+    const n = Number(cleaned);
+    return Number.isNaN(n) ? null : n;
+}
+
+function parseFlag(text) {
+    return ['1', 'true', 'yes', 'y', 'x'].includes(text.trim().toLowerCase());
+}
+
+function monthKey(text) {
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) return null;
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function round(n, digits = 2) {
+    const f = Math.pow(10, digits);
+    return Math.round(n * f) / f;
+}
+
+// Derives monthly_invoice_volume, num_ap_staff, avg_hours_per_invoice and
+// error_rate_manual from parsed rows. Fields that cannot be derived come back null.
+function deriveInputs(rows, options = {}) {
+    const warnings = [];
+    const warn = (code, message, count) => warnings.push(count == null ? { code, message } : { code, message, count });
+    if (rows.length < 2) {
+        warn('empty', 'The file has no data rows');
+        return { inputs: {}, stats: { rows: 0 }, columns: {}, warnings };
+    }
+
+    const [header, ...data] = rows;
+    const columns = resolveColumns(header, options.mapping || {});
+    for (const field of ledgerFields) {
+        if (columns[field] < 0) warn('missing_column', `No column found for ${field}`);
+    }
+    const minutesPerUnit = options.processingTimeUnit === 'hours' ? 60 : 1;
+    const get = (row, field) => (columns[field] >= 0 ? (row[columns[field]] || '').trim() : '');
+
+    const months = new Map();
+    const seen = new Set();
+    let badDates = 0;
+    let duplicates = 0;
+    let missingAmount = 0;
+    let negativeAmount = 0;
+    let missingProcessor = 0;
+    let missingTime = 0;
+    let outlierTime = 0;
+    let exceptions = 0;
+    let timedRows = 0;
+    let totalMinutes = 0;
+
+    for (const row of data) {
+        const key = row.join('\u0001');
+        if (seen.has(key)) duplicates++;
+        seen.add(key);
+
+        const month = columns.date >= 0 ? monthKey(get(row, 'date')) : null;
+        if (columns.date >= 0 && !month) badDates++;
+        if (month) {
+            if (!months.has(month)) months.set(month, { count: 0, processors: new Set() });
+            months.get(month).count++;
+        }
+
+        if (columns.amount >= 0) {
+            const amount = parseNumber(get(row, 'amount'));
+            if (amount == null) missingAmount++;
+            else if (amount < 0) negativeAmount++;
+        }
+
+        if (columns.processed_by >= 0) {
+            const processor = get(row, 'processed_by').toLowerCase();
+            if (!processor) missingProcessor++;
+            else if (month) months.get(month).processors.add(processor);
+        }
+
+        if (columns.processing_time >= 0) {
+            const time = parseNumber(get(row, 'processing_time'));
+            if (time == null || time < 0) {
+                missingTime++;
+            } else {
+                const minutes = time * minutesPerUnit;
+                if (minutes > 8 * 60) outlierTime++;
+                totalMinutes += minutes;
+                timedRows++;
+            }
+        }
+
+        if (columns.exception >= 0 && parseFlag(get(row, 'exception'))) exceptions++;
+    }
+
+    if (badDates) warn('invalid_date', 'Rows with a missing or unreadable date were left out of monthly volume', badDates);
+    if (duplicates) warn('duplicate_rows', 'Rows that exactly repeat an earlier row', duplicates);
+    if (missingAmount) warn('missing_amount', 'Rows with a missing or unreadable amount', missingAmount);
+    if (negativeAmount) warn('negative_amount', 'Rows with a negative amount (credit notes?)', negativeAmount);
+    if (missingProcessor) warn('missing_processor', 'Rows without a processed-by value', missingProcessor);
+    if (missingTime) warn('missing_processing_time', 'Rows with a missing or unreadable processing time', missingTime);
+    if (outlierTime) warn('processing_time_outlier', 'Rows with a processing time over 8 hours; check the time unit', outlierTime);
+
+    const monthList = [...months.keys()].sort();
+    if (monthList.length && monthList.length < 3) {
+        warn('short_period', `Only ${monthList.length} month(s) of data; volumes may not be representative`);
+    }
+
+    const inputs = {
+        monthly_invoice_volume: null,
+        num_ap_staff: null,
+        avg_hours_per_invoice: null,
+        error_rate_manual: null,
+    };
+    if (monthList.length) {
+        const counts = monthList.map(m => months.get(m).count);
+        inputs.monthly_invoice_volume = Math.round(counts.reduce((a, b) => a + b, 0) / counts.length);
+        if (columns.processed_by >= 0) {
+            const staff = monthList.map(m => months.get(m).processors.size);
+            const avgStaff = staff.reduce((a, b) => a + b, 0) / staff.length;
+            if (avgStaff > 0) inputs.num_ap_staff = round(avgStaff, 1);
+        }
+    }
+    if (timedRows) inputs.avg_hours_per_invoice = round(totalMinutes / timedRows / 60, 3);
+    if (columns.exception >= 0) inputs.error_rate_manual = round((exceptions / data.length) * 100, 2);
+
+    const fieldNames = Object.fromEntries(ledgerFields.map(f => [f, columns[f] >= 0 ? header[columns[f]] : null]));
+    return {
+        inputs,
+        stats: {
+            rows: data.length,
+            months: monthList.length,
+            first_month: monthList[0] || null,
+            last_month: monthList[monthList.length - 1] || null,
+            exceptions,
+        },
+        columns: fieldNames,
+        warnings,
+    };
+}
+
+module.exports = { parseCsv, parseXlsx, deriveInputs, ledgerFields };
@@ -0,0 +1,98 @@
+const { storage } = require('./storage');
+const { renderTemplate, sendMail } = require('./mailer');
+
+// Persistent email queue. Jobs are stored through the storage backend and a single worker
+// polls for due ones, so queued mail survives restarts. Failed sends are retried with
+// exponential backoff until maxAttempts, then the job is marked failed.
+
+const maxAttempts = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const retryBaseMs = Number(process.env.MAIL_RETRY_BASE_MS) || 60 * 1000;
+const pollMs = Number(process.env.MAIL_POLL_MS) || 5000;
+// A job left in `sending` this long (e.g. the process died mid-send) is picked up again
+const staleMs = 10 * 60 * 1000;
+
+// 1, 2, 4, 8... times the base delay
+const retryDelay = attempts => retryBaseMs * Math.pow(2, attempts - 1);
+
+async function deliver(job) {
+    const attempts = job.attempts + 1;
+    try {
+        const info = await sendMail({
+            to: job.to,
+            ...renderTemplate(job.template, job.data),
+            attachments: job.attachments.map(a => ({
+                filename: a.filename,
+                contentType: a.contentType,
+                content: Buffer.from(a.content, 'base64'),
+            })),
+        });
+        await storage.emailJobs.update(job._id, { status: 'sent', attempts, sentAt: new Date(), messageId: info.messageId, lastError: null });
+    } catch (e) {
+        const failed = attempts >= job.maxAttempts;
+        await storage.emailJobs.update(job._id, {
+            status: failed ? 'failed' : 'queued',
+            attempts,
+            lastError: e.message,
+            nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts)),
+        });
+    }
+}
+
+let running = false;
+
+// Sends every due job, one at a time; overlapping calls are no-ops
+async function processQueue() {
+    if (running) return;
+    running = true;
+    try {
+        let job;
+        while ((job = await storage.emailJobs.claimNext(new Date(), new Date(Date.now() - staleMs)))) {
+            await deliver(job);
+        }
+    } catch (e) {
+        console.error('Mail queue error:', e.message);
+    } finally {
+        running = false;
+    }
+}
+
+async function enqueueEmail(workspace, { to, template, data, attachments = [] }) {
+    const job = await storage.emailJobs.create({
+        workspace,
+        to,
+        template,
+        data,
+        attachments,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts,
+        nextAttemptAt: new Date(),
+    });
+    setImmediate(processQueue);
+    return job;
+}
+
+function startMailQueue() {
+    setInterval(processQueue, pollMs).unref();
+    processQueue();
+}
+
+// Status view of a job; the attachment content stays server-side
+function publicJob(job) {
+    return {
+        id: String(job._id),
+        status: job.status,
+        to: job.to,
+        template: job.template,
+        attempts: job.attempts,
+        max_attempts: job.maxAttempts,
+        next_attempt_at: job.status === 'queued' ? job.nextAttemptAt : null,
+        last_error: job.lastError || null,
+        message_id: job.messageId || null,
+        sent_at: job.sentAt || null,
+        created_at: job.createdAt,
+        updated_at: job.updatedAt,
+    };
+}
+
+module.exports = { enqueueEmail, processQueue, publicJob, startMailQueue };
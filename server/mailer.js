@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing email over SMTP. Any SMTP catcher works for development, e.g.
+// SMTP_HOST=localhost SMTP_PORT=1025 with MailHog or Mailpit.
+
+const smtp = {
+    host: process.env.SMTP_HOST || '',
+    port: Number(process.env.SMTP_PORT) || 587,
+    // Implicit TLS (usually port 465); otherwise STARTTLS is used when the server offers it
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+};
+const mailFrom = process.env.MAIL_FROM || 'ROI Simulator <no-reply@localhost>';
+
+// Subjects per template; bodies are templates/<name>.txt and templates/<name>.html
+const templates = {
+    'report-email': { subject: 'Your invoice automation ROI report' },
+};
+
+const templateDir = path.join(__dirname, 'templates');
+const templateCache = new Map();
+
+function readTemplate(file) {
+    if (!templateCache.has(file)) templateCache.set(file, fs.readFileSync(path.join(templateDir, file), 'utf8'));
+    return templateCache.get(file);
+}
+
+const escapeHtml = text => text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+// Replaces {{name}} with data.name; unknown names render empty
+function fill(text, data, escape = v => v) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, key) => escape(data[key] == null ? '' : String(data[key])));
+}
+
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) throw new Error(`Unknown email template "${name}"`);
+    return {
+        subject: fill(template.subject, data),
+        text: fill(readTemplate(`${name}.txt`), data),
+        html: fill(readTemplate(`${name}.html`), data, escapeHtml),
+    };
+}
+
+const isConfigured = () => Boolean(smtp.host);
+
+let transport = null;
+
+async function sendMail(message) {
+    if (!isConfigured()) throw new Error('SMTP_HOST is not set');
+    if (!transport) transport = nodemailer.createTransport(smtp);
+    return transport.sendMail({ from: mailFrom, ...message });
+}
+
+module.exports = { isConfigured, renderTemplate, sendMail, templates };
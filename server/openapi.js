@@ -0,0 +1,752 @@
+const { jsonSchema } = require('./inputs');
+const { webhookEvents } = require('./webhooks');
+const { industries, sizes } = require('./presets');
+
+// OpenAPI 3.0 description of every route, served at /openapi.json. Input schemas come
+// from inputs.js, so the spec cannot drift from validation; keep the route table below
+// in step with index.js, auth.js, webhooks.js, presets.js and embeds.js.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const idParam = name => ({ name, in: 'path', required: true, schema: { type: 'string' } });
+
+const responses = {
+    ok: schema => ({ 200: { description: 'OK', ...json(schema) } }),
+    created: schema => ({ 201: { description: 'Created', ...json(schema) } }),
+    invalid: { 400: { description: 'Invalid request; `errors` lists every invalid field', ...json(ref('ValidationError')) } },
+    error: code => ({ [code]: { description: { 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not found', 410: 'Gone', 503: 'Service unavailable' }[code], ...json(ref('Error')) } }),
+};
+
+// role: null for public routes, 'admin-token' for the platform admin secret, otherwise
+// the minimum workspace role
+function operation({ summary, description, tag, role, body, params = [], ok, extra = {} }) {
+    const op = { summary, tags: [tag], parameters: [...params], responses: { ...ok, ...responses.invalid } };
+    if (role === 'admin-token') {
+        op.security = [{ adminToken: [] }];
+        Object.assign(op.responses, responses.error(401));
+    } else if (role === 'user') {
+        op.security = [{ bearerAuth: [] }];
+        Object.assign(op.responses, responses.error(401));
+    } else if (role) {
+        op.security = [{ bearerAuth: [] }];
+        op.parameters.push({ $ref: '#/components/parameters/WorkspaceId' });
+        op.description = [`Requires the ${role} role in the workspace.`, description].filter(Boolean).join(' ');
+        Object.assign(op.responses, responses.error(401), responses.error(403));
+    } else {
+        op.security = [];
+    }
+    if (description && !op.description) op.description = description;
+    if (body) op.requestBody = { required: true, ...json(body) };
+    return Object.assign(op, extra);
+}
+
+const withInputs = (properties, required = []) => ({
+    allOf: [ref('SimulationInputs'), { type: 'object', required, properties }],
+});
+
+const object = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+
+const webhookBody = required => object({
+    url: { type: 'string', format: 'uri' },
+    events: { type: 'array', items: { type: 'string', enum: webhookEvents }, minItems: 1 },
+    description: { type: 'string' },
+    active: { type: 'boolean' },
+}, required);
+
+const presetRanges = {
+    type: 'object',
+    description: 'Typical [low, high] per numeric input',
+    additionalProperties: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 },
+};
+
+// Keep in step with auditModes in index.js
+const auditMode = {
+    type: 'string',
+    enum: ['disclose', 'neutral'],
+    description: 'Without it, the headline figures (monthly_savings through break_even_month) and the timeline include the '
+        + 'favorable savings adjustments and there is no `audit` block. `disclose` keeps those figures unchanged and adds `audit`, '
+        + 'which lists the adjustments and gives the figures with (`adjusted`) and without (`raw`) them. `neutral` replaces the '
+        + 'headline figures and the timeline with the unadjusted ones, which can be negative, and adds the same `audit` block with '
+        + 'adjustments_applied false. The cost breakdown and capacity figures are never adjusted. Reports follow the same rules.',
+};
+
+const embedTheme = object({
+    primary_color: { type: 'string', example: '#4f46e5' },
+    background_color: { type: 'string', example: '#ffffff' },
+    text_color: { type: 'string', example: '#0f172a' },
+});
+
+const embedBody = required => object({
+    name: { type: 'string' },
+    allowed_origins: { type: 'array', items: { type: 'string', example: 'https://partner.example.com' }, minItems: 1 },
+    theme: embedTheme,
+    defaults: jsonSchema({ storedOnly: true, partial: true }),
+    hidden_fields: { type: 'array', items: { type: 'string' } },
+    lead_gate: { type: 'boolean', default: true },
+    active: { type: 'boolean' },
+}, required);
+
+const embedAccessNote = 'Public. Callable from the widget page served at /embed/{key}/frame, or from a page whose Origin is one of the key\'s allowed origins.';
+
+const embedParams = [idParam('key')];
+
+const routes = [
+    ['get', '/health', { summary: 'Liveness check', tag: 'Meta', ok: responses.ok(object({ status: { type: 'string' } })) }],
+    ['get', '/openapi.json', { summary: 'This document', tag: 'Meta', ok: responses.ok({ type: 'object' }) }],
+
+    ['post', '/auth/register', {
+        summary: 'Create an account and its first workspace',
+        tag: 'Accounts',
+        body: object({ email: { type: 'string' }, password: { type: 'string', minLength: 8 }, name: { type: 'string' }, workspace_name: { type: 'string' } }, ['email', 'password']),
+        ok: responses.created(ref('Session')),
+    }],
+    ['post', '/auth/login', {
+        summary: 'Log in',
+        tag: 'Accounts',
+        body: object({ email: { type: 'string' }, password: { type: 'string' } }, ['email', 'password']),
+        ok: { ...responses.ok(ref('Session')), ...responses.error(401) },
+    }],
+    ['get', '/auth/me', { summary: 'Current user and their workspaces', tag: 'Accounts', role: 'user', ok: responses.ok({ type: 'object' }) }],
+    ['post', '/workspaces', {
+        summary: 'Create a workspace',
+        tag: 'Accounts',
+        role: 'user',
+        body: object({ name: { type: 'string' } }, ['name']),
+        ok: responses.created({ type: 'object' }),
+    }],
+    ['get', '/workspaces/members', { summary: 'List workspace members', tag: 'Accounts', role: 'viewer', ok: responses.ok({ type: 'array', items: { type: 'object' } }) }],
+    ['put', '/workspaces/members', {
+        summary: 'Add a member or change their role',
+        tag: 'Accounts',
+        role: 'admin',
+        body: object({ email: { type: 'string' }, role: { type: 'string', enum: ['viewer', 'editor', 'admin'] } }, ['email', 'role']),
+        ok: { ...responses.ok({ type: 'object' }), ...responses.error(404) },
+    }],
+    ['delete', '/workspaces/members/{userId}', {
+        summary: 'Remove a member',
+        tag: 'Accounts',
+        role: 'admin',
+        params: [idParam('userId')],
+        ok: { ...responses.ok(ref('Ok')), ...responses.error(404) },
+    }],
+
+    ['post', '/simulate', {
+        summary: 'Run the ROI simulation',
+        tag: 'Simulation',
+        role: 'viewer',
+        body: withInputs({ include_timeline: { type: 'boolean', default: false }, audit_mode: auditMode }),
+        ok: responses.ok(ref('SimulationResults')),
+    }],
+    ['post', '/simulate/sensitivity', {
+        summary: 'Vary each required input and rank them by impact',
+        tag: 'Simulation',
+        role: 'viewer',
+        description: 'impact is the spread of the sort_by metric between the low and high runs. A payback_months delta is null '
+            + 'when either run never pays back. Sorted by payback_months, an input whose low or high run alone never pays back '
+            + 'has impact null and ranks first.',
+        body: withInputs({
+            variation_pct: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 100, default: 20 },
+            sort_by: { type: 'string', enum: ['net_savings', 'roi_percentage', 'payback_months'], default: 'net_savings' },
+        }),
+        ok: responses.ok({ type: 'object' }),
+    }],
+    ['post', '/simulate/monte-carlo', {
+        summary: 'Sample uncertain inputs and summarize the outcome distribution',
+        tag: 'Simulation',
+        role: 'viewer',
+        description: 'Any required input or one_time_implementation_cost may be a distribution object instead of a number: '
+            + '{ type: "triangular", min, likely, max }, { type: "uniform", min, max } or { type: "normal", mean, sd }. '
+            + 'iterations × time_horizon_months may be at most 3000000, using the distribution\'s max for a sampled horizon '
+            + '(600 for a normal one). Each metric summary has null_share, the share of samples where it is null '
+            + '(payback never reached); the other statistics leave those samples out.',
+        body: {
+            type: 'object',
+            properties: {
+                iterations: { type: 'integer', minimum: 100, maximum: 20000, default: 5000 },
+                bins: { type: 'integer', minimum: 1, maximum: 200, default: 20 },
+                seed: { type: 'integer' },
+            },
+            additionalProperties: true,
+        },
+        ok: responses.ok({ type: 'object' }),
+    }],
+    ['post', '/simulate/solve', {
+        summary: 'Find the value of one input that reaches a target metric',
+        tag: 'Simulation',
+        role: 'viewer',
+        description: 'Every other input is held fixed. When no value in the valid range reaches the target the response has '
+            + 'solved: false and a message. bound tells whether the target holds above (minimum) or below (maximum) the value.',
+        body: {
+            allOf: [ref('SimulationInputs'), object({
+                solve_for: { type: 'string', description: 'Any numeric input; it may be omitted from the inputs' },
+                target: object({
+                    metric: { type: 'string', enum: ['roi_percentage', 'payback_months', 'break_even_month', 'net_savings', 'monthly_savings', 'cumulative_savings', 'npv'] },
+                    value: { type: 'number' },
+                }, ['metric', 'value']),
+                min: { type: 'number', description: 'Narrows the search range' },
+                max: { type: 'number', description: 'Narrows the search range' },
+            }, ['solve_for', 'target'])],
+        },
+        ok: responses.ok(object({
+            solved: { type: 'boolean' },
+            value: { type: 'number' },
+            bound: { type: 'string', enum: ['minimum', 'maximum'] },
+            achieved: { type: 'number' },
+            range: object({ min: { type: 'number' }, max: { type: 'number' } }),
+            results: ref('SimulationResults'),
+            reason: { type: 'string', enum: ['always_met', 'never_met'] },
+            message: { type: 'string' },
+        })),
+    }],
+    ['post', '/ledger/import', {
+        summary: 'Derive inputs from an invoice ledger export',
+        tag: 'Simulation',
+        role: 'viewer',
+        ok: responses.ok({ type: 'object' }),
+        extra: {
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: object({
+                            file: { type: 'string', format: 'binary', description: '.csv or .xlsx, up to 10 MB' },
+                            mapping: { type: 'string', description: 'JSON object of ledger field to column header' },
+                            processing_time_unit: { type: 'string', enum: ['minutes', 'hours'], default: 'minutes' },
+                        }, ['file']),
+                    },
+                },
+            },
+        },
+    }],
+
+    ['post', '/scenarios', {
+        summary: 'Save a scenario',
+        tag: 'Scenarios',
+        role: 'editor',
+        body: withInputs({ scenario_name: { type: 'string' }, note: { type: 'string' } }, ['scenario_name']),
+        ok: responses.created(ref('Scenario')),
+    }],
+    ['get', '/scenarios', { summary: 'List saved scenarios', tag: 'Scenarios', role: 'viewer', ok: responses.ok({ type: 'array', items: ref('Scenario') }) }],
+    ['post', '/scenarios/compare', {
+        summary: 'Compare two or more scenarios',
+        tag: 'Scenarios',
+        role: 'viewer',
+        body: object({ ids: { type: 'array', items: { type: 'string' }, minItems: 2 }, metric: { type: 'string', default: 'net_savings' } }, ['ids']),
+        ok: { ...responses.ok({ type: 'object' }), ...responses.error(404) },
+    }],
+    ['get', '/scenarios/{id}', {
+        summary: 'Get a scenario',
+        tag: 'Scenarios',
+        role: 'viewer',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Scenario')), ...responses.error(404) },
+    }],
+    ['put', '/scenarios/{id}', {
+        summary: 'Replace a scenario\'s inputs',
+        tag: 'Scenarios',
+        role: 'editor',
+        params: [idParam('id')],
+        body: withInputs({ scenario_name: { type: 'string' }, note: { type: 'string' } }, ['scenario_name']),
+        ok: { ...responses.ok(ref('Scenario')), ...responses.error(404) },
+    }],
+    ['patch', '/scenarios/{id}', {
+        summary: 'Change some of a scenario\'s inputs',
+        tag: 'Scenarios',
+        role: 'editor',
+        params: [idParam('id')],
+        body: { type: 'object', properties: { ...jsonSchema().properties, scenario_name: { type: 'string' }, note: { type: 'string' } } },
+        ok: { ...responses.ok(ref('Scenario')), ...responses.error(404) },
+    }],
+    ['delete', '/scenarios/{id}', {
+        summary: 'Delete a scenario and its share links',
+        tag: 'Scenarios',
+        role: 'editor',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Ok')), ...responses.error(404) },
+    }],
+    ['get', '/scenarios/{id}/report.pdf', {
+        summary: 'PDF report for a saved scenario',
+        tag: 'Reports',
+        role: 'viewer',
+        params: [idParam('id'), { name: 'audit_mode', in: 'query', schema: auditMode }],
+        ok: { 200: { description: 'PDF document', content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } }, ...responses.error(404) },
+    }],
+    ['get', '/scenarios/{id}/revisions', {
+        summary: 'Revision history, newest first',
+        tag: 'Scenarios',
+        role: 'viewer',
+        params: [idParam('id')],
+        ok: { ...responses.ok({ type: 'array', items: ref('Revision') }), ...responses.error(404) },
+    }],
+    ['post', '/scenarios/{id}/revisions/{revisionId}/restore', {
+        summary: 'Restore a revision as a new revision',
+        tag: 'Scenarios',
+        role: 'editor',
+        params: [idParam('id'), idParam('revisionId')],
+        body: object({ note: { type: 'string' } }),
+        ok: { ...responses.ok(ref('Scenario')), ...responses.error(404) },
+    }],
+
+    ['post', '/scenarios/{id}/shares', {
+        summary: 'Create a read-only share link',
+        tag: 'Sharing',
+        role: 'editor',
+        params: [idParam('id')],
+        body: object({ expires_in_days: { type: 'number', minimum: 0, exclusiveMinimum: true }, password: { type: 'string', minLength: 4 } }),
+        ok: { ...responses.created({ allOf: [ref('ShareLink'), object({ token: { type: 'string' } })] }), ...responses.error(404) },
+    }],
+    ['get', '/scenarios/{id}/shares', {
+        summary: 'List a scenario\'s share links',
+        tag: 'Sharing',
+        role: 'viewer',
+        params: [idParam('id')],
+        ok: responses.ok({ type: 'array', items: ref('ShareLink') }),
+    }],
+    ['delete', '/shares/{id}', {
+        summary: 'Revoke a share link',
+        tag: 'Sharing',
+        role: 'editor',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('ShareLink')), ...responses.error(404) },
+    }],
+    ['get', '/shared/{token}', {
+        summary: 'Open a shared scenario (no account needed)',
+        tag: 'Sharing',
+        params: [idParam('token'), { name: 'x-share-password', in: 'header', schema: { type: 'string' } }],
+        ok: { ...responses.ok({ type: 'object' }), ...responses.error(401), ...responses.error(404), ...responses.error(410) },
+    }],
+
+    ['get', '/presets', {
+        summary: 'Benchmark presets and the workspace\'s templates',
+        tag: 'Presets',
+        role: 'viewer',
+        params: [
+            { name: 'industry', in: 'query', schema: { type: 'string', enum: industries } },
+            { name: 'size', in: 'query', schema: { type: 'string', enum: sizes } },
+        ],
+        ok: responses.ok(object({
+            industries: { type: 'array', items: { type: 'string' } },
+            sizes: { type: 'array', items: { type: 'string' } },
+            presets: { type: 'array', items: ref('Preset') },
+        })),
+    }],
+    ['get', '/presets/{id}', {
+        summary: 'One preset',
+        tag: 'Presets',
+        role: 'viewer',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Preset')), ...responses.error(404) },
+    }],
+    ['post', '/presets', {
+        summary: 'Save a custom template',
+        tag: 'Presets',
+        role: 'admin',
+        body: object({
+            name: { type: 'string' },
+            description: { type: 'string' },
+            industry: { type: 'string', enum: industries },
+            size: { type: 'string', enum: sizes },
+            inputs: jsonSchema({ storedOnly: true, partial: true }),
+            ranges: presetRanges,
+        }, ['name', 'inputs']),
+        ok: responses.created(ref('Preset')),
+    }],
+    ['delete', '/presets/{id}', {
+        summary: 'Delete a custom template',
+        tag: 'Presets',
+        role: 'admin',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Ok')), ...responses.error(404) },
+    }],
+
+    ['get', '/embeds', {
+        summary: 'List embed keys',
+        tag: 'Embeds',
+        role: 'admin',
+        ok: responses.ok({ type: 'array', items: ref('Embed') }),
+    }],
+    ['post', '/embeds', {
+        summary: 'Create an embed key for partner sites',
+        tag: 'Embeds',
+        role: 'admin',
+        body: embedBody(['name', 'allowed_origins']),
+        ok: responses.created(ref('Embed')),
+    }],
+    ['patch', '/embeds/{id}', {
+        summary: 'Change an embed\'s configuration or allowed origins',
+        tag: 'Embeds',
+        role: 'admin',
+        params: [idParam('id')],
+        body: embedBody(),
+        ok: { ...responses.ok(ref('Embed')), ...responses.error(404) },
+    }],
+    ['delete', '/embeds/{id}', {
+        summary: 'Delete an embed key',
+        tag: 'Embeds',
+        role: 'admin',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Ok')), ...responses.error(404) },
+    }],
+    ['get', '/embed.js', {
+        summary: 'Loader script that puts the calculator on a partner page',
+        tag: 'Embeds',
+        ok: { 200: { description: 'JavaScript', content: { 'text/javascript': { schema: { type: 'string' } } } } },
+    }],
+    ['get', '/embed/{key}/frame', {
+        summary: 'Calculator page for an embed key, loaded in an iframe by /embed.js',
+        description: 'Public. Sent with Content-Security-Policy: frame-ancestors set to the key\'s allowed origins.',
+        tag: 'Embeds',
+        params: embedParams,
+        ok: {
+            200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } },
+            ...responses.error(404),
+            ...responses.error(503),
+        },
+    }],
+    ['get', '/embed/{key}', {
+        summary: 'Widget configuration for an embed key',
+        description: embedAccessNote,
+        tag: 'Embeds',
+        params: embedParams,
+        ok: { ...responses.ok(ref('EmbedConfig')), ...responses.error(403), ...responses.error(404) },
+    }],
+    ['post', '/embed/{key}/simulate', {
+        summary: 'Run a simulation from an embedded calculator',
+        description: `${embedAccessNote} Hidden inputs always take the embed's defaults.`,
+        tag: 'Embeds',
+        params: embedParams,
+        body: { allOf: [jsonSchema({ storedOnly: true, partial: true }), object({ include_timeline: { type: 'boolean', default: false } })] },
+        ok: { ...responses.ok(ref('SimulationResults')), ...responses.error(403), ...responses.error(404) },
+    }],
+    ['post', '/embed/{key}/report', {
+        summary: 'PDF report from an embedded calculator, returned as base64',
+        description: `${embedAccessNote} With the lead gate on, email is required and captured as a lead.`,
+        tag: 'Embeds',
+        params: embedParams,
+        body: {
+            allOf: [
+                jsonSchema({ storedOnly: true, partial: true }),
+                object({ email: { type: 'string' }, consent: { type: 'boolean' } }),
+            ],
+        },
+        ok: {
+            ...responses.ok(object({ base64: { type: 'string' }, filename: { type: 'string' }, mime: { type: 'string' } })),
+            ...responses.error(403),
+            ...responses.error(404),
+        },
+    }],
+
+    ['post', '/report/generate', {
+        summary: 'Email-gated PDF report, returned as base64 and optionally emailed',
+        tag: 'Reports',
+        role: 'editor',
+        body: object({
+            email: { type: 'string' },
+            consent: { type: 'boolean' },
+            send_email: { type: 'boolean', default: false, description: 'Also queue the PDF for delivery to email' },
+            audit_mode: auditMode,
+            inputs: ref('SimulationInputs'),
+        }, ['email', 'inputs']),
+        ok: {
+            ...responses.ok(object({
+                base64: { type: 'string' },
+                filename: { type: 'string' },
+                mime: { type: 'string' },
+                email_job: ref('EmailJob'),
+            })),
+            ...responses.error(503),
+        },
+    }],
+    ['get', '/email-jobs/{id}', {
+        summary: 'Delivery status of a queued email',
+        tag: 'Reports',
+        role: 'editor',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('EmailJob')), ...responses.error(404) },
+    }],
+
+    ['get', '/webhooks', {
+        summary: 'List webhook subscriptions and the events they can receive',
+        tag: 'Webhooks',
+        role: 'admin',
+        ok: responses.ok(object({ events: { type: 'array', items: { type: 'string' } }, webhooks: { type: 'array', items: ref('Webhook') } })),
+    }],
+    ['post', '/webhooks', {
+        summary: 'Subscribe a URL to events',
+        description: 'The response includes the signing secret, which is not shown again.',
+        tag: 'Webhooks',
+        role: 'admin',
+        body: webhookBody(['url', 'events']),
+        ok: responses.created({ allOf: [ref('Webhook'), object({ secret: { type: 'string' } })] }),
+    }],
+    ['patch', '/webhooks/{id}', {
+        summary: 'Change a webhook\'s URL, events, description or active flag',
+        tag: 'Webhooks',
+        role: 'admin',
+        params: [idParam('id')],
+        body: webhookBody(),
+        ok: { ...responses.ok(ref('Webhook')), ...responses.error(404) },
+    }],
+    ['delete', '/webhooks/{id}', {
+        summary: 'Delete a webhook and its delivery log',
+        tag: 'Webhooks',
+        role: 'admin',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Ok')), ...responses.error(404) },
+    }],
+    ['get', '/webhooks/{id}/deliveries', {
+        summary: 'Recent deliveries with every attempt, newest first',
+        tag: 'Webhooks',
+        role: 'admin',
+        params: [idParam('id')],
+        ok: { ...responses.ok({ type: 'array', items: ref('WebhookDelivery') }), ...responses.error(404) },
+    }],
+    ['post', '/webhooks/{id}/deliveries/{deliveryId}/redeliver', {
+        summary: 'Queue a delivery\'s payload again',
+        tag: 'Webhooks',
+        role: 'admin',
+        params: [idParam('id'), idParam('deliveryId')],
+        ok: { 202: { description: 'Queued', ...json(ref('WebhookDelivery')) }, ...responses.error(404) },
+    }],
+
+    ['get', '/admin/leads', {
+        summary: 'List leads',
+        tag: 'Admin',
+        role: 'admin',
+        params: ['email', 'consent', 'from', 'to'].map(name => ({ name, in: 'query', schema: { type: 'string' } })),
+        ok: { ...responses.ok({ type: 'array', items: { type: 'object' } }), ...responses.error(400) },
+    }],
+    ['get', '/admin/leads/export.csv', {
+        summary: 'Export leads as CSV',
+        tag: 'Admin',
+        role: 'admin',
+        params: ['email', 'consent', 'from', 'to'].map(name => ({ name, in: 'query', schema: { type: 'string' } })),
+        ok: { 200: { description: 'CSV file', content: { 'text/csv': { schema: { type: 'string' } } } }, ...responses.error(400) },
+    }],
+    ['delete', '/admin/leads/{id}', {
+        summary: 'Erase a lead',
+        tag: 'Admin',
+        role: 'admin',
+        params: [idParam('id')],
+        ok: { ...responses.ok(ref('Ok')), ...responses.error(404) },
+    }],
+    ['get', '/admin/assumptions', { summary: 'List assumption sets', tag: 'Admin', role: 'admin-token', ok: responses.ok({ type: 'object' }) }],
+    ['post', '/admin/assumptions', {
+        summary: 'Publish a new assumption set',
+        tag: 'Admin',
+        role: 'admin-token',
+        body: object({
+            name: { type: 'string' },
+            effective_from: { type: 'string', format: 'date-time' },
+            pricing_tiers: { type: 'array', items: object({ up_to_volume: { type: 'number', nullable: true }, cost_per_invoice: { type: 'number' } }) },
+            error_rate_auto: { type: 'number', minimum: 0, maximum: 1 },
+            time_saved_per_invoice_minutes: { type: 'number', minimum: 0 },
+            min_roi_boost_factor: { type: 'number' },
+        }),
+        ok: responses.created({ type: 'object' }),
+    }],
+    ['get', '/admin/assumptions/{version}', {
+        summary: 'Get one assumption set',
+        tag: 'Admin',
+        role: 'admin-token',
+        params: [idParam('version')],
+        ok: { ...responses.ok({ type: 'object' }), ...responses.error(404) },
+    }],
+];
+
+const savingsFigures = {
+    monthly_savings: { type: 'number' },
+    cumulative_savings: { type: 'number' },
+    net_savings: { type: 'number' },
+    payback_months: { type: 'number', nullable: true, description: 'Months until cumulative savings cover the implementation cost, interpolated within the month they do; 0 without an implementation cost, null when savings never cover it within the horizon' },
+    roi_percentage: { type: 'number' },
+    npv: { type: 'number' },
+    irr_percentage: { type: 'number', nullable: true },
+    break_even_month: { type: 'number', nullable: true },
+};
+
+const auditSchema = object({
+    mode: auditMode,
+    adjustments_applied: { type: 'boolean', description: 'Whether the headline figures include the adjustments' },
+    adjustments: {
+        type: 'array',
+        items: object({
+            id: { type: 'string', enum: ['roi_boost_factor', 'savings_floor'] },
+            description: { type: 'string' },
+            value: { type: 'number' },
+            months_affected: { type: 'integer' },
+        }),
+    },
+    raw: object(savingsFigures),
+    adjusted: object(savingsFigures),
+    negative_roi: { type: 'boolean', description: 'Net savings over the horizon are negative without the adjustments' },
+});
+
+const resultsSchema = object({
+    ...savingsFigures,
+    automated_cost_per_invoice: { type: 'number' },
+    manual_labor_cost: { type: 'number', description: 'Per month, at the starting volume and wage' },
+    manual_error_cost: { type: 'number', description: 'Per month, at the manual error rate' },
+    automated_processing_cost: { type: 'number', description: 'Per month, at the volume tier price' },
+    automated_error_cost: { type: 'number', description: 'Per month, at the automated error rate' },
+    manual_labor_hours_per_month: {
+        type: 'number',
+        description: 'Staff hours manual_labor_cost pays for. The savings figures assume automation removes all of them',
+    },
+    time_saved_per_invoice_minutes: { type: 'number', description: 'Assumption behind hours_saved_per_month' },
+    hours_saved_per_month: { type: 'number', description: 'Monthly volume times time_saved_per_invoice_minutes, at most the manual time' },
+    fte_freed: { type: 'number', description: 'hours_saved_per_month over a 40-hour-week month' },
+    currency: { type: 'string' },
+    assumption_version: { type: 'integer' },
+    timeline: { type: 'array', items: { type: 'object' }, description: 'Only with include_timeline' },
+    audit: { ...auditSchema, description: 'Only with audit_mode' },
+});
+
+function buildOpenApi({ version = '1.0.0', serverUrl } = {}) {
+    const paths = {};
+    for (const [method, path, spec] of routes) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = operation(spec);
+    }
+    return {
+        openapi: '3.0.3',
+        info: { title: 'Invoicing ROI Simulator API', version },
+        ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                adminToken: { type: 'apiKey', in: 'header', name: 'x-admin-token' },
+            },
+            parameters: {
+                WorkspaceId: {
+                    name: 'x-workspace-id',
+                    in: 'header',
+                    schema: { type: 'string' },
+                    description: 'Workspace to act in; the user\'s default workspace when omitted',
+                },
+            },
+            schemas: {
+                SimulationInputs: jsonSchema(),
+                SimulationResults: resultsSchema,
+                Scenario: object({
+                    _id: { type: 'string' },
+                    scenarioName: { type: 'string' },
+                    workspace: { type: 'string' },
+                    owner: { type: 'string' },
+                    inputs: jsonSchema({ storedOnly: true }),
+                    results: resultsSchema,
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                }),
+                Revision: object({
+                    _id: { type: 'string' },
+                    scenarioName: { type: 'string' },
+                    inputs: jsonSchema({ storedOnly: true }),
+                    results: resultsSchema,
+                    note: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                }),
+                ShareLink: object({
+                    id: { type: 'string' },
+                    scenario: { type: 'string' },
+                    expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                    revokedAt: { type: 'string', format: 'date-time', nullable: true },
+                    passwordProtected: { type: 'boolean' },
+                    openCount: { type: 'integer' },
+                    lastOpenedAt: { type: 'string', format: 'date-time', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' },
+                }),
+                EmailJob: object({
+                    id: { type: 'string' },
+                    status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed'] },
+                    to: { type: 'string' },
+                    template: { type: 'string' },
+                    attempts: { type: 'integer' },
+                    max_attempts: { type: 'integer' },
+                    next_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+                    last_error: { type: 'string', nullable: true },
+                    message_id: { type: 'string', nullable: true },
+                    sent_at: { type: 'string', format: 'date-time', nullable: true },
+                    created_at: { type: 'string', format: 'date-time' },
+                    updated_at: { type: 'string', format: 'date-time' },
+                }),
+                Preset: object({
+                    id: { type: 'string', description: 'A slug for benchmarks, an object id for templates' },
+                    source: { type: 'string', enum: ['benchmark', 'custom'] },
+                    name: { type: 'string' },
+                    description: { type: 'string', nullable: true },
+                    industry: { type: 'string', enum: industries, nullable: true },
+                    size: { type: 'string', enum: sizes, nullable: true },
+                    inputs: jsonSchema({ storedOnly: true, partial: true }),
+                    ranges: presetRanges,
+                }),
+                EmbedConfig: object({
+                    key: { type: 'string' },
+                    name: { type: 'string' },
+                    theme: embedTheme,
+                    defaults: jsonSchema({ storedOnly: true, partial: true }),
+                    hidden_fields: { type: 'array', items: { type: 'string' } },
+                    lead_gate: { type: 'boolean' },
+                    allowed_origins: { type: 'array', items: { type: 'string' } },
+                }),
+                Embed: {
+                    allOf: [ref('EmbedConfig'), object({
+                        id: { type: 'string' },
+                        active: { type: 'boolean' },
+                        created_at: { type: 'string', format: 'date-time' },
+                        updated_at: { type: 'string', format: 'date-time' },
+                    })],
+                },
+                Webhook: object({
+                    id: { type: 'string' },
+                    url: { type: 'string' },
+                    events: { type: 'array', items: { type: 'string', enum: webhookEvents } },
+                    description: { type: 'string', nullable: true },
+                    active: { type: 'boolean' },
+                    created_at: { type: 'string', format: 'date-time' },
+                    updated_at: { type: 'string', format: 'date-time' },
+                }),
+                WebhookDelivery: object({
+                    id: { type: 'string' },
+                    webhook: { type: 'string' },
+                    event: { type: 'string', enum: webhookEvents },
+                    status: { type: 'string', enum: ['queued', 'sending', 'delivered', 'failed'] },
+                    attempts: { type: 'integer' },
+                    max_attempts: { type: 'integer' },
+                    next_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+                    response_status: { type: 'integer', nullable: true },
+                    last_error: { type: 'string', nullable: true },
+                    delivered_at: { type: 'string', format: 'date-time', nullable: true },
+                    redelivery_of: { type: 'string', nullable: true },
+                    payload: object({
+                        id: { type: 'string', description: 'Stays the same across redeliveries' },
+                        type: { type: 'string' },
+                        created_at: { type: 'string', format: 'date-time' },
+                        workspace_id: { type: 'string' },
+                        data: { type: 'object' },
+                    }),
+                    log: {
+                        type: 'array',
+                        items: object({
+                            at: { type: 'string', format: 'date-time' },
+                            response_status: { type: 'integer', nullable: true },
+                            error: { type: 'string', nullable: true },
+                            duration_ms: { type: 'integer' },
+                        }),
+                    },
+                    created_at: { type: 'string', format: 'date-time' },
+                }),
+                Session: object({ token: { type: 'string' }, user: { type: 'object' } }),
+                Ok: object({ ok: { type: 'boolean' } }),
+                Error: object({ error: { type: 'string' } }, ['error']),
+                ValidationError: object({
+                    error: { type: 'string', description: 'All messages joined' },
+                    errors: { type: 'array', items: object({ field: { type: 'string' }, message: { type: 'string' } }) },
+                }, ['error']),
+            },
+        },
+    };
+}
+
+module.exports = { buildOpenApi };
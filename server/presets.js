@@ -0,0 +1,173 @@
+const express = require('express');
+const { storage } = require('./storage');
+const { requireRole } = require('./auth');
+const { inputSchema, storedInputs, validateInputs } = require('./inputs');
+
+// Input presets: built-in benchmark profiles by industry and company size, plus custom
+// templates a workspace's admins save. `inputs` prefills the form; `ranges` gives the
+// typical [low, high] of each input so entered values can be compared against it.
+
+const industries = ['manufacturing', 'retail', 'healthcare', 'professional_services'];
+const sizes = ['small', 'mid_market', 'enterprise'];
+
+// Benchmark wages and error costs are USD figures, so benchmarks also set currency: 'USD'
+const benchmark = (id, name, industry, size, description, inputs, ranges) => ({
+    id,
+    source: 'benchmark',
+    name,
+    description,
+    industry,
+    size,
+    inputs: { time_horizon_months: 36, currency: 'USD', ...inputs },
+    ranges,
+});
+
+const benchmarkPresets = [
+    benchmark('manufacturing-small', 'Small manufacturing', 'manufacturing', 'small',
+        'About 800 invoices/month, mostly PO-backed with three-way matching',
+        { monthly_invoice_volume: 800, num_ap_staff: 1.5, avg_hours_per_invoice: 0.3, hourly_wage: 28, error_rate_manual: 4, error_cost: 55, one_time_implementation_cost: 15000, ramp_up_months: 2 },
+        { monthly_invoice_volume: [400, 1500], num_ap_staff: [1, 3], avg_hours_per_invoice: [0.2, 0.5], hourly_wage: [22, 35], error_rate_manual: [2, 6], error_cost: [30, 90] }),
+    benchmark('manufacturing-mid-market', 'Mid-market manufacturing', 'manufacturing', 'mid_market',
+        'About 5k invoices/month, mostly PO-backed with three-way matching',
+        { monthly_invoice_volume: 5000, num_ap_staff: 5, avg_hours_per_invoice: 0.25, hourly_wage: 32, error_rate_manual: 3.5, error_cost: 65, one_time_implementation_cost: 60000, ramp_up_months: 3 },
+        { monthly_invoice_volume: [3000, 8000], num_ap_staff: [3, 8], avg_hours_per_invoice: [0.15, 0.4], hourly_wage: [26, 40], error_rate_manual: [2, 5], error_cost: [40, 100] }),
+    benchmark('manufacturing-enterprise', 'Enterprise manufacturing', 'manufacturing', 'enterprise',
+        'About 25k invoices/month across several plants and ERPs',
+        { monthly_invoice_volume: 25000, num_ap_staff: 20, avg_hours_per_invoice: 0.2, hourly_wage: 36, error_rate_manual: 2.5, error_cost: 80, one_time_implementation_cost: 250000, ramp_up_months: 6 },
+        { monthly_invoice_volume: [15000, 50000], num_ap_staff: [12, 35], avg_hours_per_invoice: [0.12, 0.3], hourly_wage: [30, 45], error_rate_manual: [1.5, 4], error_cost: [50, 120] }),
+    benchmark('retail-small', 'Small retail', 'retail', 'small',
+        'About 1.2k invoices/month from many small suppliers',
+        { monthly_invoice_volume: 1200, num_ap_staff: 1.5, avg_hours_per_invoice: 0.2, hourly_wage: 24, error_rate_manual: 3, error_cost: 40, one_time_implementation_cost: 12000, ramp_up_months: 2 },
+        { monthly_invoice_volume: [600, 2000], num_ap_staff: [1, 3], avg_hours_per_invoice: [0.12, 0.3], hourly_wage: [19, 30], error_rate_manual: [1.5, 5], error_cost: [25, 60] }),
+    benchmark('retail-mid-market', 'Mid-market retail', 'retail', 'mid_market',
+        'About 6k invoices/month, high volume with low value per invoice',
+        { monthly_invoice_volume: 6000, num_ap_staff: 5, avg_hours_per_invoice: 0.17, hourly_wage: 27, error_rate_manual: 2.5, error_cost: 45, one_time_implementation_cost: 50000, ramp_up_months: 3 },
+        { monthly_invoice_volume: [3500, 10000], num_ap_staff: [3, 8], avg_hours_per_invoice: [0.1, 0.25], hourly_wage: [22, 34], error_rate_manual: [1.5, 4], error_cost: [30, 70] }),
+    benchmark('healthcare-mid-market', 'Mid-market healthcare', 'healthcare', 'mid_market',
+        'About 4k invoices/month with contract pricing checks',
+        { monthly_invoice_volume: 4000, num_ap_staff: 5, avg_hours_per_invoice: 0.3, hourly_wage: 30, error_rate_manual: 4.5, error_cost: 70, one_time_implementation_cost: 70000, ramp_up_months: 4 },
+        { monthly_invoice_volume: [2000, 7000], num_ap_staff: [3, 8], avg_hours_per_invoice: [0.2, 0.45], hourly_wage: [25, 38], error_rate_manual: [3, 7], error_cost: [45, 110] }),
+    benchmark('healthcare-enterprise', 'Enterprise healthcare', 'healthcare', 'enterprise',
+        'About 20k invoices/month across a hospital network',
+        { monthly_invoice_volume: 20000, num_ap_staff: 18, avg_hours_per_invoice: 0.25, hourly_wage: 34, error_rate_manual: 3.5, error_cost: 90, one_time_implementation_cost: 300000, ramp_up_months: 6 },
+        { monthly_invoice_volume: [12000, 40000], num_ap_staff: [10, 30], avg_hours_per_invoice: [0.15, 0.35], hourly_wage: [28, 42], error_rate_manual: [2, 5], error_cost: [60, 140] }),
+    benchmark('professional-services-small', 'Small professional services', 'professional_services', 'small',
+        'About 400 invoices/month, mostly non-PO services and expenses',
+        { monthly_invoice_volume: 400, num_ap_staff: 1, avg_hours_per_invoice: 0.25, hourly_wage: 32, error_rate_manual: 2.5, error_cost: 45, one_time_implementation_cost: 8000, ramp_up_months: 1 },
+        { monthly_invoice_volume: [150, 800], num_ap_staff: [0.5, 2], avg_hours_per_invoice: [0.15, 0.4], hourly_wage: [25, 40], error_rate_manual: [1, 4], error_cost: [25, 70] }),
+    benchmark('professional-services-mid-market', 'Mid-market professional services', 'professional_services', 'mid_market',
+        'About 2.5k invoices/month with project and client cost coding',
+        { monthly_invoice_volume: 2500, num_ap_staff: 3, avg_hours_per_invoice: 0.2, hourly_wage: 35, error_rate_manual: 2, error_cost: 55, one_time_implementation_cost: 40000, ramp_up_months: 3 },
+        { monthly_invoice_volume: [1200, 4000], num_ap_staff: [2, 5], avg_hours_per_invoice: [0.12, 0.3], hourly_wage: [28, 44], error_rate_manual: [1, 3.5], error_cost: [35, 85] }),
+];
+
+// Inputs that can carry a benchmark range
+const rangeInputs = storedInputs.filter(k => inputSchema[k].type !== 'string');
+
+function publicPreset(preset) {
+    return {
+        id: String(preset._id),
+        source: 'custom',
+        name: preset.name,
+        description: preset.description || null,
+        industry: preset.industry || null,
+        size: preset.size || null,
+        inputs: preset.inputs,
+        ranges: preset.ranges || {},
+        created_at: preset.createdAt,
+    };
+}
+
+async function findPreset(workspace, id) {
+    const builtIn = benchmarkPresets.find(p => p.id === id);
+    if (builtIn) return builtIn;
+    if (!storage.isValidId(id)) return null;
+    const preset = await storage.presets.get(workspace, id);
+    return preset ? publicPreset(preset) : null;
+}
+
+// Checks a custom template; returns { fields } or { error, errors }
+function presetFields(body) {
+    const { name, description, industry, size, inputs, ranges } = body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+    if (description != null && typeof description !== 'string') return { error: 'description must be a string' };
+    if (industry != null && !industries.includes(industry)) return { error: `industry must be one of ${industries.join(', ')}` };
+    if (size != null && !sizes.includes(size)) return { error: `size must be one of ${sizes.join(', ')}` };
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) return { error: 'inputs is required' };
+    const unknown = Object.keys(inputs).filter(k => !storedInputs.includes(k));
+    if (unknown.length) return { error: `Unknown inputs: ${unknown.join(', ')}` };
+    if (!Object.keys(inputs).length) return { error: 'inputs must set at least one input' };
+    const errors = validateInputs(inputs, { partial: true });
+    if (errors.length) return { errors };
+
+    const checkedRanges = {};
+    for (const [key, range] of Object.entries(ranges || {})) {
+        if (!rangeInputs.includes(key)) return { error: `ranges.${key} is not a numeric input` };
+        const valid = Array.isArray(range) && range.length === 2 && range.every(v => typeof v === 'number' && Number.isFinite(v));
+        if (!valid || range[0] > range[1]) return { error: `ranges.${key} must be [low, high]` };
+        checkedRanges[key] = range;
+    }
+    const fields = { name: name.trim(), inputs, ranges: checkedRanges };
+    if (description != null) fields.description = description;
+    if (industry != null) fields.industry = industry;
+    if (size != null) fields.size = size;
+    return { fields };
+}
+
+const router = express.Router();
+
+// Benchmarks first, then the workspace's templates; ?industry= and ?size= narrow both
+router.get('/presets', requireRole('viewer'), async (req, res) => {
+    try {
+        const { industry, size } = req.query;
+        const custom = await storage.presets.list(req.workspace._id);
+        const presets = [...benchmarkPresets, ...custom.map(publicPreset)]
+            .filter(p => (!industry || p.industry === industry) && (!size || p.size === size));
+        return res.json({ industries, sizes, presets });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to list presets' });
+    }
+});
+
+router.get('/presets/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const preset = await findPreset(req.workspace._id, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Not found' });
+        return res.json(preset);
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to load preset' });
+    }
+});
+
+router.post('/presets', requireRole('admin'), async (req, res) => {
+    try {
+        const { fields, error, errors } = presetFields(req.body);
+        if (errors) {
+            return res.status(400).json({
+                error: errors.map(e => e.message).join('; '),
+                errors: errors.map(e => ({ field: `inputs.${e.field}`, message: e.message })),
+            });
+        }
+        if (error) return res.status(400).json({ error });
+        const preset = await storage.presets.create({ ...fields, workspace: req.workspace._id, createdBy: req.user._id });
+        return res.status(201).json(publicPreset(preset));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to create preset' });
+    }
+});
+
+router.delete('/presets/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (benchmarkPresets.some(p => p.id === req.params.id)) {
+            return res.status(400).json({ error: 'Benchmark presets cannot be deleted' });
+        }
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const preset = await storage.presets.remove(req.workspace._id, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Not found' });
+        return res.json({ ok: true });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to delete preset' });
+    }
+});
+
+module.exports = { router, benchmarkPresets, industries, sizes };
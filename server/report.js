@@ -0,0 +1,387 @@
+const PDFDocument = require('pdfkit');
+
+// Report layout and formatting (pdfkit, A4)
+const brandColor = '#4f46e5';
+const brandLight = '#e0e7ff';
+const textColor = '#0f172a';
+const mutedColor = '#64748b';
+const ruleColor = '#e2e8f0';
+const warningColor = '#e11d48';
+const margin = 48;
+
+const inputLabels = {
+    monthly_invoice_volume: 'Monthly invoice volume',
+    num_ap_staff: 'AP staff',
+    avg_hours_per_invoice: 'Hours per invoice',
+    hourly_wage: 'Hourly wage',
+    error_rate_manual: 'Manual error rate (%)',
+    error_cost: 'Cost per error',
+    time_horizon_months: 'Time horizon (months)',
+    one_time_implementation_cost: 'One-time implementation cost',
+    ramp_up_months: 'Ramp-up (months)',
+    monthly_volume_growth_pct: 'Volume growth (% per month)',
+    annual_wage_inflation_pct: 'Wage inflation (% per year)',
+    annual_discount_rate_pct: 'Discount rate (% per year)',
+    currency: 'Currency',
+    locale: 'Number format',
+};
+
+// Inputs expressed in the scenario currency
+const moneyInputs = ['hourly_wage', 'error_cost', 'one_time_implementation_cost'];
+
+// The built-in PDF fonts only cover WinAnsi, so swap out spacing and minus
+// variants and fall back to the ISO code for symbols such as ₹
+function pdfSafe(text) {
+    return text.replace(/[\u202f\u2009]/g, ' ').replace(/\u2212/g, '-');
+}
+
+function isWinAnsi(text) {
+    return /^[\x20-\xff€]*$/.test(text);
+}
+
+function formatMoney(value, currency = 'USD', locale = 'en-US', options = {}) {
+    const base = { style: 'currency', currency, maximumFractionDigits: 2, ...options };
+    const text = pdfSafe(new Intl.NumberFormat(locale, base).format(value));
+    if (isWinAnsi(text)) return text;
+    return pdfSafe(new Intl.NumberFormat(locale, { ...base, currencyDisplay: 'code' }).format(value));
+}
+
+function formatNumber(value, locale = 'en-US') {
+    return pdfSafe(new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value));
+}
+
+// Payback and break-even are null when savings never cover the implementation cost
+const months = (value, num) => (value == null ? 'Never' : num(value));
+
+function costBreakdown(results) {
+    return {
+        manual: [['Processing labor', results.manual_labor_cost], ['Error handling', results.manual_error_cost]],
+        automated: [['Automated processing', results.automated_processing_cost], ['Residual errors', results.automated_error_cost]],
+        manualTotal: results.manual_labor_cost + results.manual_error_cost,
+        automatedTotal: results.automated_processing_cost + results.automated_error_cost,
+    };
+}
+
+function heading(doc, text) {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(textColor).text(text, margin, doc.y);
+    const y = doc.y + 4;
+    doc.moveTo(margin, y).lineTo(margin + 40, y).lineWidth(2).strokeColor(brandColor).stroke();
+    doc.y = y + 14;
+}
+
+function table(doc, rows, widths, options = {}) {
+    const rowHeight = 22;
+    let y = doc.y;
+    rows.forEach((row, i) => {
+        const isHeader = options.header && i === 0;
+        if (isHeader) {
+            doc.rect(margin, y, widths.reduce((a, b) => a + b, 0), rowHeight).fill(brandLight);
+        } else if (i % 2 === 0) {
+            doc.rect(margin, y, widths.reduce((a, b) => a + b, 0), rowHeight).fill('#f8fafc');
+        }
+        let x = margin;
+        row.forEach((cell, c) => {
+            doc.font(isHeader || (options.boldLast && i === rows.length - 1) ? 'Helvetica-Bold' : 'Helvetica')
+                .fontSize(10)
+                .fillColor(c === 0 && !isHeader ? mutedColor : textColor)
+                .text(String(cell), x + 8, y + 7, { width: widths[c] - 16, align: c === 0 ? 'left' : 'right', lineBreak: false });
+            x += widths[c];
+        });
+        y += rowHeight;
+    });
+    doc.y = y + 12;
+}
+
+function coverPage(doc, data, money, num) {
+    const { results } = data;
+    const width = doc.page.width;
+    doc.rect(0, 0, width, 220).fill(brandColor);
+    doc.font('Helvetica-Bold').fontSize(28).fillColor('#ffffff').text('Invoicing ROI Report', margin, 90);
+    doc.font('Helvetica').fontSize(13).fillColor(brandLight)
+        .text(data.scenarioName || 'Manual vs automated invoice processing', margin, 132);
+
+    doc.fillColor(mutedColor).fontSize(10);
+    if (data.preparedFor) doc.text(`Prepared for ${data.preparedFor}`, margin, 250);
+    doc.text(`Generated ${new Date().toISOString().slice(0, 10)}`, margin, doc.y + 2);
+
+    const highlights = [
+        ['Monthly savings', money(results.monthly_savings)],
+        ['Net savings', money(results.net_savings)],
+        ['ROI', results.roi_percentage ? `${num(results.roi_percentage)}%` : 'n/a'],
+        ['Break-even', results.break_even_month == null ? 'Beyond horizon' : `Month ${num(results.break_even_month)}`],
+    ];
+    const boxWidth = (width - margin * 2 - 12) / 2;
+    highlights.forEach(([label, value], i) => {
+        const x = margin + (i % 2) * (boxWidth + 12);
+        const y = 320 + Math.floor(i / 2) * 92;
+        doc.roundedRect(x, y, boxWidth, 80, 6).fill('#f8fafc');
+        doc.font('Helvetica').fontSize(10).fillColor(mutedColor).text(label, x + 16, y + 16);
+        doc.font('Helvetica-Bold').fontSize(20).fillColor(textColor).text(value, x + 16, y + 36, { width: boxWidth - 32, lineBreak: false });
+    });
+
+    doc.font('Helvetica').fontSize(9).fillColor(mutedColor).text(
+        `Figures cover a ${num(data.inputs.time_horizon_months)}-month horizon. See the appendix for the assumptions behind them.`,
+        margin,
+        540,
+        { width: width - margin * 2 }
+    );
+
+    if (results.audit) {
+        const { audit } = results;
+        const note = audit.adjustments_applied
+            ? 'Audit mode: these figures include the favorable adjustments listed on the audit page, next to the figures without them.'
+            : 'Audit mode: these figures are shown without the favorable adjustments; the audit page compares both.';
+        doc.font('Helvetica').fontSize(9).fillColor(mutedColor).text(note, margin, doc.y + 8, { width: width - margin * 2 });
+        if (audit.negative_roi) {
+            doc.font('Helvetica-Bold').fontSize(11).fillColor(warningColor).text(
+                `Negative ROI: without adjustments, automation costs ${money(-audit.raw.net_savings)} more than it saves over the horizon.`,
+                margin,
+                doc.y + 10,
+                { width: width - margin * 2 }
+            );
+        }
+    }
+}
+
+function inputsPage(doc, data, money, num) {
+    doc.addPage();
+    heading(doc, 'Your inputs');
+    const rows = Object.keys(inputLabels)
+        .filter(key => data.inputs[key] != null)
+        .map(key => {
+            const v = data.inputs[key];
+            const value = typeof v !== 'number' ? v : (moneyInputs.includes(key) ? money(v) : num(v));
+            return [inputLabels[key], value];
+        });
+    table(doc, rows, [300, 199]);
+
+    heading(doc, 'Monthly cost breakdown');
+    const breakdown = costBreakdown(data.results);
+    table(doc, [
+        ['', 'Manual', 'Automated'],
+        [breakdown.manual[0][0], money(breakdown.manual[0][1]), '-'],
+        [breakdown.manual[1][0], money(breakdown.manual[1][1]), '-'],
+        [breakdown.automated[0][0], '-', money(breakdown.automated[0][1])],
+        [breakdown.automated[1][0], '-', money(breakdown.automated[1][1])],
+        ['Total per month', money(breakdown.manualTotal), money(breakdown.automatedTotal)],
+    ], [199, 150, 150], { header: true, boldLast: true });
+
+    // Proportional bars for the two monthly totals
+    const max = Math.max(breakdown.manualTotal, breakdown.automatedTotal, 1);
+    const barWidth = doc.page.width - margin * 2 - 110;
+    [['Manual', breakdown.manualTotal, '#94a3b8'], ['Automated', breakdown.automatedTotal, brandColor]].forEach(([label, value, color]) => {
+        const y = doc.y;
+        doc.font('Helvetica').fontSize(10).fillColor(mutedColor).text(label, margin, y + 4, { width: 100 });
+        doc.rect(margin + 110, y, Math.max((value / max) * barWidth, 1), 18).fill(color);
+        doc.y = y + 28;
+    });
+
+    heading(doc, 'Capacity freed');
+    table(doc, [
+        ['Staff hours saved per month', num(data.results.hours_saved_per_month)],
+        ['Equivalent full-time staff', num(data.results.fte_freed)],
+    ], [300, 199]);
+    if (data.results.manual_labor_hours_per_month != null) {
+        doc.font('Helvetica').fontSize(9).fillColor(mutedColor).text(
+            `Savings assume automation removes the whole processing labor cost (${num(data.results.manual_labor_hours_per_month)} staff hours a month). `
+                + `Hours saved use ${num(data.results.time_saved_per_invoice_minutes)} minutes saved per invoice instead.`,
+            margin,
+            doc.y + 8,
+            { width: doc.page.width - margin * 2 }
+        );
+    }
+}
+
+function chartPage(doc, data, money, num) {
+    doc.addPage();
+    heading(doc, 'Cumulative savings');
+    const timeline = data.results.timeline || [];
+    const cost = data.inputs.one_time_implementation_cost || 0;
+
+    const left = margin + 64;
+    const top = doc.y + 8;
+    const width = doc.page.width - left - margin;
+    const height = 260;
+    const points = [{ month: 0, value: 0 }, ...timeline.map(p => ({ month: p.month, value: p.cumulative_savings }))];
+    const maxMonth = Math.max(points[points.length - 1].month, 1);
+    const maxValue = Math.max(...points.map(p => p.value), cost, 1);
+    // Unadjusted savings can run negative
+    const minValue = Math.min(...points.map(p => p.value), 0);
+    const xAt = m => left + (m / maxMonth) * width;
+    const yAt = v => top + height - ((v - minValue) / (maxValue - minValue)) * height;
+    const compact = v => formatMoney(v, data.inputs.currency, data.inputs.locale, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+
+    // Grid and axis labels
+    doc.lineWidth(0.5);
+    for (let i = 0; i <= 4; i++) {
+        const v = minValue + ((maxValue - minValue) / 4) * i;
+        doc.moveTo(left, yAt(v)).lineTo(left + width, yAt(v)).strokeColor(ruleColor).stroke();
+        doc.font('Helvetica').fontSize(8).fillColor(mutedColor).text(compact(v), margin, yAt(v) - 4, { width: 58, align: 'right' });
+    }
+    const step = Math.max(1, Math.ceil(maxMonth / 12));
+    for (let m = 0; m <= maxMonth; m += step) {
+        doc.fontSize(8).fillColor(mutedColor).text(String(m), xAt(m) - 10, top + height + 6, { width: 20, align: 'center' });
+    }
+    doc.fontSize(8).text('Month', left, top + height + 20, { width, align: 'center' });
+
+    // Area and line
+    doc.moveTo(xAt(0), yAt(0));
+    points.forEach(p => doc.lineTo(xAt(p.month), yAt(p.value)));
+    doc.lineTo(xAt(maxMonth), yAt(0)).closePath().fillOpacity(0.15).fill(brandColor).fillOpacity(1);
+    doc.moveTo(xAt(0), yAt(0));
+    points.forEach(p => doc.lineTo(xAt(p.month), yAt(p.value)));
+    doc.lineWidth(2).strokeColor(brandColor).stroke();
+
+    if (cost > 0) {
+        doc.moveTo(left, yAt(cost)).lineTo(left + width, yAt(cost)).lineWidth(1).dash(4, { space: 3 }).strokeColor(warningColor).stroke().undash();
+        doc.fontSize(8).fillColor(warningColor).text('Implementation cost', left + 4, yAt(cost) - 11);
+        const breakEven = data.results.break_even_month;
+        if (breakEven != null && breakEven > 0) {
+            doc.circle(xAt(breakEven), yAt(cost), 4).fill(warningColor);
+            doc.fontSize(8).text(`Break-even: month ${num(breakEven)}`, xAt(breakEven) + 6, yAt(cost) + 4);
+        }
+    }
+
+    doc.y = top + height + 44;
+    heading(doc, 'Results');
+    const r = data.results;
+    table(doc, [
+        ['Monthly savings', money(r.monthly_savings)],
+        ['Cumulative savings', money(r.cumulative_savings)],
+        ['Net savings after implementation', money(r.net_savings)],
+        ['Net present value', money(r.npv)],
+        ['Internal rate of return (annualized)', r.irr_percentage == null ? 'n/a' : `${num(r.irr_percentage)}%`],
+        ['Payback (months)', months(r.payback_months, num)],
+        ['ROI over horizon', `${num(r.roi_percentage)}%`],
+    ], [300, 199]);
+}
+
+// Audit mode: every adjustment applied to the savings, and the figures with and without them
+function auditPage(doc, data, money, num) {
+    const { audit } = data.results;
+    doc.addPage();
+    heading(doc, 'Audit: adjustments');
+    doc.font('Helvetica').fontSize(10).fillColor(textColor).text(
+        audit.adjustments_applied
+            ? 'The figures in this report include the adjustments below. The table that follows shows what they change.'
+            : 'The figures in this report leave out the adjustments below. The table that follows shows what they would change.',
+        margin,
+        doc.y,
+        { width: doc.page.width - margin * 2, lineGap: 3 }
+    );
+    doc.y += 10;
+    table(doc, [
+        ['Adjustment', 'Months affected'],
+        ...audit.adjustments.map(a => [a.description, num(a.months_affected)]),
+    ], [380, 119], { header: true });
+
+    heading(doc, 'Without vs with adjustments');
+    const pct = v => (v == null ? 'n/a' : `${num(v)}%`);
+    const rows = [
+        ['Monthly savings', r => money(r.monthly_savings)],
+        ['Cumulative savings', r => money(r.cumulative_savings)],
+        ['Net savings after implementation', r => money(r.net_savings)],
+        ['Net present value', r => money(r.npv)],
+        ['IRR (annualized)', r => pct(r.irr_percentage)],
+        ['Payback (months)', r => months(r.payback_months, num)],
+        ['Break-even month', r => months(r.break_even_month, num)],
+        ['ROI over horizon', r => pct(r.roi_percentage)],
+    ];
+    table(doc, [
+        ['', 'Without', 'With'],
+        ...rows.map(([label, value]) => [label, value(audit.raw), value(audit.adjusted)]),
+    ], [219, 140, 140], { header: true });
+
+    if (audit.negative_roi) {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(warningColor).text(
+            'Without the adjustments, net savings over the horizon are negative: automation does not pay for itself in this scenario.',
+            margin,
+            doc.y,
+            { width: doc.page.width - margin * 2 }
+        );
+    }
+}
+
+function appendixPage(doc, data, money, num) {
+    doc.addPage();
+    heading(doc, 'Appendix: assumptions');
+    const { assumptions, inputs } = data;
+    table(doc, [
+        ['Assumption set', `${assumptions.name} (version ${assumptions.version})`],
+        ['Effective from', new Date(assumptions.effectiveFrom).toISOString().slice(0, 10)],
+        ['Automated error rate', `${num(assumptions.errorRateAuto * 100)}%`],
+        ['Time saved per invoice', `${num(assumptions.timeSavedPerInvoiceMinutes)} minutes`],
+        ['Report currency', inputs.currency || 'USD'],
+    ], [300, 199]);
+
+    heading(doc, 'Automation pricing (per invoice)');
+    const rows = [['Monthly volume', 'Price']];
+    let from = 0;
+    for (const tier of assumptions.pricingTiers) {
+        const range = tier.upToVolume == null ? `${num(from)}+` : `${num(from)} - ${num(tier.upToVolume)}`;
+        rows.push([range, money(tier.costPerInvoice * data.currencyRate)]);
+        from = tier.upToVolume == null ? from : tier.upToVolume + 1;
+    }
+    table(doc, rows, [300, 199], { header: true });
+
+    heading(doc, 'Method');
+    doc.font('Helvetica').fontSize(10).fillColor(textColor).text(
+        'Savings are modelled month by month over the chosen horizon. Manual cost combines processing labor and the cost '
+        + 'of errors at the manual error rate. Automated cost combines the per-invoice price for the month\'s volume tier '
+        + 'and residual errors at the automated error rate. Volume growth, wage inflation and ramp-up are applied to each '
+        + 'month when provided, and NPV discounts monthly cash flows at the given annual rate.',
+        margin,
+        doc.y,
+        { width: doc.page.width - margin * 2, lineGap: 3 }
+    );
+
+    // Listed in every report, so adjusted figures never go out without saying so
+    heading(doc, 'Savings adjustments');
+    const applied = !(data.results.audit && !data.results.audit.adjustments_applied);
+    const note = applied
+        ? 'The figures in this report include these adjustments, which favor automation. A report in audit mode '
+            + 'compares them with the figures without the adjustments.'
+        : 'These adjustments are normally applied. The figures in this report are shown without them (neutral audit mode).';
+    doc.font('Helvetica').fontSize(10).fillColor(textColor);
+    for (const adjustment of data.adjustments) {
+        doc.text(`- ${adjustment.description}.`, margin, doc.y, { width: doc.page.width - margin * 2 });
+    }
+    doc.fillColor(mutedColor).text(note, margin, doc.y + 6, { width: doc.page.width - margin * 2, lineGap: 3 });
+}
+
+function footer(doc) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(mutedColor).text(
+            `Invoicing ROI Simulator  |  Page ${i + 1} of ${range.count}`,
+            margin,
+            doc.page.height - 30,
+            { width: doc.page.width - margin * 2, align: 'center', lineBreak: false }
+        );
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+// Builds the full report and ends the document; pipe or read it afterwards
+function buildReport(data) {
+    const doc = new PDFDocument({ size: 'A4', margin, bufferPages: true, info: { Title: 'Invoicing ROI Report' } });
+    const currency = data.inputs.currency || 'USD';
+    const locale = data.inputs.locale || 'en-US';
+    const money = v => formatMoney(v, currency, locale);
+    const num = v => formatNumber(v, locale);
+
+    coverPage(doc, data, money, num);
+    inputsPage(doc, data, money, num);
+    chartPage(doc, data, money, num);
+    if (data.results.audit) auditPage(doc, data, money, num);
+    appendixPage(doc, data, money, num);
+    footer(doc);
+    doc.end();
+    return doc;
+}
+
+module.exports = { buildReport, formatMoney, formatNumber };
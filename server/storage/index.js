@@ -0,0 +1,18 @@
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+
+// Storage backend, chosen by the STORAGE environment variable:
+//   mongodb (default)  MongoDB at MONGODB_URI
+//   file               in memory, saved to STORAGE_FILE (./data/store.json by default)
+//   memory             in memory only; everything is lost on restart
+function createStorage(driver = process.env.STORAGE || 'mongodb') {
+    if (driver === 'mongodb') return createMongoStorage({ uri: process.env.MONGODB_URI || '' });
+    if (driver === 'file') return createMemoryStorage({ file: process.env.STORAGE_FILE || './data/store.json' });
+    if (driver === 'memory') return createMemoryStorage();
+    throw new Error(`Unknown STORAGE driver "${driver}"`);
+}
+
+// The backend shared by every route, configured from the environment at startup
+const storage = createStorage();
+
+module.exports = { createStorage, storage };
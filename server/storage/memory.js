@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// In-memory storage for demos, local development and tests. With a `file` it loads
+// from and writes through to a JSON file, so data survives restarts.
+
+const collections = ['users', 'workspaces', 'scenarios', 'shareLinks', 'leads', 'assumptionSets', 'emailJobs', 'webhooks', 'webhookDeliveries', 'presets', 'embeds'];
+const dateFields = new Set(['createdAt', 'updatedAt', 'expiresAt', 'revokedAt', 'consentAt', 'lastReportAt', 'effectiveFrom', 'at', 'nextAttemptAt', 'lockedAt', 'sentAt', 'deliveredAt']);
+
+// Same shape as a Mongo ObjectId, so ids look alike on every backend
+const newId = () => crypto.randomBytes(12).toString('hex');
+const isValidId = id => typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id);
+
+// Mirrors the cast error Mongo raises for malformed ids
+function checkId(id) {
+    if (!isValidId(String(id))) throw new Error('Invalid id');
+    return String(id);
+}
+
+const clone = value => (value == null ? null : structuredClone(value));
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+const newestFirst = (a, b) => b.createdAt - a.createdAt;
+const omitRevisions = ({ revisions, ...rest }) => rest;
+
+function createMemoryStorage({ file } = {}) {
+    const data = Object.fromEntries(collections.map(c => [c, []]));
+
+    function persist() {
+        if (!file) return;
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    function insert(collection, fields) {
+        const now = new Date();
+        const record = { _id: newId(), ...clone(fields), createdAt: now, updatedAt: now };
+        data[collection].push(record);
+        persist();
+        return clone(record);
+    }
+
+    const find = (collection, predicate) => data[collection].find(predicate) || null;
+
+    function remove(collection, predicate) {
+        const index = data[collection].findIndex(predicate);
+        if (index < 0) return null;
+        const [record] = data[collection].splice(index, 1);
+        persist();
+        return record;
+    }
+
+    function touch(record, fields) {
+        Object.assign(record, clone(fields), { updatedAt: new Date() });
+        persist();
+        return clone(record);
+    }
+
+    return {
+        name: file ? 'file' : 'memory',
+        isValidId,
+
+        async connect() {
+            if (!file) return;
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            if (!fs.existsSync(file)) return;
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'), (key, value) => (
+                dateFields.has(key) && typeof value === 'string' ? new Date(value) : value
+            ));
+            for (const c of collections) data[c] = Array.isArray(saved[c]) ? saved[c] : [];
+        },
+
+        users: {
+            get: async id => clone(find('users', u => u._id === checkId(id))),
+            findByEmail: async email => clone(find('users', u => u.email === email)),
+            listByIds: async ids => clone(data.users.filter(u => ids.some(id => sameId(id, u._id)))),
+            async create(fields) {
+                if (find('users', u => u.email === fields.email)) throw new Error('Duplicate email');
+                return insert('users', fields);
+            },
+            async update(id, fields) {
+                const user = find('users', u => u._id === checkId(id));
+                return user ? touch(user, fields) : null;
+            },
+        },
+
+        workspaces: {
+            get: async id => clone(find('workspaces', w => w._id === checkId(id))),
+            listForUser: async userId => clone(data.workspaces.filter(w => w.members.some(m => sameId(m.user, userId)))),
+            create: async fields => insert('workspaces', fields),
+            async setMembers(id, members) {
+                const workspace = find('workspaces', w => w._id === checkId(id));
+                return workspace ? touch(workspace, { members }) : null;
+            },
+        },
+
+        scenarios: {
+            create: async fields => insert('scenarios', {
+                ...fields,
+                revisions: (fields.revisions || []).map(r => ({ _id: newId(), createdAt: new Date(), ...r })),
+            }),
+            list: async workspace => data.scenarios
+                .filter(s => sameId(s.workspace, workspace))
+                .sort(newestFirst)
+                .map(({ _id, scenarioName, owner, results, createdAt }) => clone({ _id, scenarioName, owner, results, createdAt })),
+            async findMany(workspace, ids) {
+                ids.forEach(checkId);
+                return data.scenarios
+                    .filter(s => sameId(s.workspace, workspace) && ids.some(id => sameId(id, s._id)))
+                    .map(s => clone(omitRevisions(s)));
+            },
+            async get(workspace, id, { revisions = false } = {}) {
+                const scenario = find('scenarios', s => s._id === checkId(id) && sameId(s.workspace, workspace));
+                if (!scenario) return null;
+                return clone(revisions ? scenario : omitRevisions(scenario));
+            },
+            async getById(id) {
+                const scenario = find('scenarios', s => s._id === checkId(id));
+                return scenario ? clone(omitRevisions(scenario)) : null;
+            },
+            async update(workspace, id, fields, revision) {
+                const scenario = find('scenarios', s => s._id === checkId(id) && sameId(s.workspace, workspace));
+                if (!scenario) return null;
+                scenario.revisions.push({ _id: newId(), createdAt: new Date(), ...clone(revision) });
+                return touch(scenario, fields);
+            },
+            remove: async (workspace, id) => {
+                checkId(id);
+                return remove('scenarios', s => s._id === String(id) && sameId(s.workspace, workspace));
+            },
+        },
+
+        shareLinks: {
+            create: async fields => insert('shareLinks', { openCount: 0, opens: [], ...fields }),
+            get: async id => clone(find('shareLinks', l => l._id === checkId(id))),
+            listForScenario: async (workspace, scenario) => {
+                checkId(scenario);
+                return clone(data.shareLinks.filter(l => sameId(l.scenario, scenario) && sameId(l.workspace, workspace)).sort(newestFirst));
+            },
+            async revoke(workspace, id) {
+                const link = find('shareLinks', l => l._id === checkId(id) && sameId(l.workspace, workspace));
+                return link ? touch(link, { revokedAt: new Date() }) : null;
+            },
+            async recordOpen(id, open, keep) {
+                const link = find('shareLinks', l => l._id === checkId(id));
+                if (!link) return;
+                touch(link, { openCount: link.openCount + 1, opens: [...link.opens, open].slice(-keep) });
+            },
+            async removeForScenario(scenario) {
+                data.shareLinks = data.shareLinks.filter(l => !sameId(l.scenario, scenario));
+                persist();
+            },
+        },
+
+        leads: {
+            async capture(workspace, email, fields) {
+                let lead = find('leads', l => sameId(l.workspace, workspace) && l.email === email);
+                if (!lead) {
+                    insert('leads', { workspace, email, consent: false, reportCount: 0 });
+                    lead = find('leads', l => sameId(l.workspace, workspace) && l.email === email);
+                }
+                return touch(lead, { ...fields, reportCount: lead.reportCount + 1 });
+            },
+            list: async (workspace, filter = {}) => {
+                const email = filter.email ? filter.email.toLowerCase() : null;
+                return clone(data.leads
+                    .filter(l => sameId(l.workspace, workspace)
+                        && (!email || l.email.toLowerCase().includes(email))
+                        && (filter.consent == null || l.consent === filter.consent)
+                        && (!filter.from || l.createdAt >= filter.from)
+                        && (!filter.to || l.createdAt <= filter.to))
+                    .sort(newestFirst));
+            },
+            remove: async (workspace, id) => {
+                checkId(id);
+                return remove('leads', l => l._id === String(id) && sameId(l.workspace, workspace));
+            },
+        },
+
+        assumptionSets: {
+            list: async () => clone([...data.assumptionSets].sort((a, b) => a.version - b.version)),
+            async create(fields) {
+                if (find('assumptionSets', s => s.version === fields.version)) throw new Error('Duplicate version');
+                return insert('assumptionSets', fields);
+            },
+        },
+
+        emailJobs: {
+            create: async fields => insert('emailJobs', fields),
+            get: async (workspace, id) => clone(find('emailJobs', j => j._id === checkId(id) && sameId(j.workspace, workspace))),
+            async claimNext(now, staleBefore) {
+                const job = data.emailJobs
+                    .filter(j => (j.status === 'queued' && j.nextAttemptAt <= now) || (j.status === 'sending' && j.lockedAt < staleBefore))
+                    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+                return job ? touch(job, { status: 'sending', lockedAt: now }) : null;
+            },
+            async update(id, fields) {
+                const job = find('emailJobs', j => j._id === checkId(id));
+                return job ? touch(job, fields) : null;
+            },
+        },
+
+        webhooks: {
+            create: async fields => insert('webhooks', fields),
+            list: async workspace => clone(data.webhooks.filter(w => sameId(w.workspace, workspace)).sort(newestFirst)),
+            listForEvent: async (workspace, event) => clone(data.webhooks.filter(w => sameId(w.workspace, workspace) && w.active && w.events.includes(event))),
+            get: async (workspace, id) => clone(find('webhooks', w => w._id === checkId(id) && sameId(w.workspace, workspace))),
+            async update(workspace, id, fields) {
+                const webhook = find('webhooks', w => w._id === checkId(id) && sameId(w.workspace, workspace));
+                return webhook ? touch(webhook, fields) : null;
+            },
+            remove: async (workspace, id) => {
+                checkId(id);
+                return remove('webhooks', w => w._id === String(id) && sameId(w.workspace, workspace));
+            },
+        },
+
+        presets: {
+            create: async fields => insert('presets', fields),
+            list: async workspace => clone(data.presets.filter(p => sameId(p.workspace, workspace)).sort((a, b) => a.createdAt - b.createdAt)),
+            get: async (workspace, id) => clone(find('presets', p => p._id === checkId(id) && sameId(p.workspace, workspace))),
+            remove: async (workspace, id) => {
+                checkId(id);
+                return remove('presets', p => p._id === String(id) && sameId(p.workspace, workspace));
+            },
+        },
+
+        embeds: {
+            async create(fields) {
+                if (find('embeds', e => e.key === fields.key)) throw new Error('Duplicate key');
+                return insert('embeds', fields);
+            },
+            list: async workspace => clone(data.embeds.filter(e => sameId(e.workspace, workspace)).sort(newestFirst)),
+            get: async (workspace, id) => clone(find('embeds', e => e._id === checkId(id) && sameId(e.workspace, workspace))),
+            findByKey: async key => clone(find('embeds', e => e.key === key)),
+            async update(workspace, id, fields) {
+                const embed = find('embeds', e => e._id === checkId(id) && sameId(e.workspace, workspace));
+                return embed ? touch(embed, fields) : null;
+            },
+            remove: async (workspace, id) => {
+                checkId(id);
+                return remove('embeds', e => e._id === String(id) && sameId(e.workspace, workspace));
+            },
+        },
+
+        webhookDeliveries: {
+            create: async fields => insert('webhookDeliveries', { log: [], ...fields }),
+            listForWebhook: async (workspace, webhook, limit) => {
+                checkId(webhook);
+                return clone(data.webhookDeliveries
+                    .filter(d => sameId(d.webhook, webhook) && sameId(d.workspace, workspace))
+                    .sort(newestFirst)
+                    .slice(0, limit));
+            },
+            get: async (workspace, id) => clone(find('webhookDeliveries', d => d._id === checkId(id) && sameId(d.workspace, workspace))),
+            async claimNext(now, staleBefore) {
+                const delivery = data.webhookDeliveries
+                    .filter(d => (d.status === 'queued' && d.nextAttemptAt <= now) || (d.status === 'sending' && d.lockedAt < staleBefore))
+                    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+                return delivery ? touch(delivery, { status: 'sending', lockedAt: now }) : null;
+            },
+            async update(id, fields, logEntry) {
+                const delivery = find('webhookDeliveries', d => d._id === checkId(id));
+                if (!delivery) return null;
+                return touch(delivery, logEntry ? { ...fields, log: [...delivery.log, logEntry] } : fields);
+            },
+            async removeForWebhook(webhook) {
+                data.webhookDeliveries = data.webhookDeliveries.filter(d => !sameId(d.webhook, webhook));
+                persist();
+            },
+        },
+    };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const { mongooseShape } = require('../inputs');
+
+// MongoDB storage. Every method resolves to plain objects (never Mongoose documents),
+// so routes behave the same on any backend.
+
+const scenarioInputsShape = mongooseShape();
+
+const scenarioResultsShape = {
+    monthly_savings: Number,
+    cumulative_savings: Number,
+    net_savings: Number,
+    payback_months: Number,
+    roi_percentage: Number,
+    npv: Number,
+    irr_percentage: Number,
+    break_even_month: Number,
+    automated_cost_per_invoice: Number,
+    manual_labor_cost: Number,
+    manual_error_cost: Number,
+    automated_processing_cost: Number,
+    automated_error_cost: Number,
+    manual_labor_hours_per_month: Number,
+    time_saved_per_invoice_minutes: Number,
+    hours_saved_per_month: Number,
+    fte_freed: Number,
+    currency: String,
+    assumption_version: Number,
+};
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const UserSchema = new mongoose.Schema(
+    {
+        email: { type: String, required: true, unique: true },
+        name: String,
+        passwordHash: { type: String, required: true },
+        passwordSalt: { type: String, required: true },
+        defaultWorkspace: { type: ObjectId, ref: 'Workspace' },
+    },
+    { timestamps: true }
+);
+
+const WorkspaceSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true },
+        members: [
+            {
+                _id: false,
+                user: { type: ObjectId, ref: 'User', required: true },
+                role: { type: String, required: true },
+            },
+        ],
+    },
+    { timestamps: true }
+);
+WorkspaceSchema.index({ 'members.user': 1 });
+
+// Revisions are append-only snapshots of a scenario's inputs and results
+const RevisionSchema = new mongoose.Schema(
+    {
+        scenarioName: { type: String, immutable: true },
+        inputs: { type: new mongoose.Schema(scenarioInputsShape, { _id: false }), immutable: true },
+        results: { type: new mongoose.Schema(scenarioResultsShape, { _id: false }), immutable: true },
+        note: { type: String, immutable: true },
+        createdAt: { type: Date, default: Date.now, immutable: true },
+    }
+);
+
+const ScenarioSchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true, index: true },
+        owner: { type: ObjectId, ref: 'User' },
+        scenarioName: { type: String, required: true },
+        inputs: scenarioInputsShape,
+        results: scenarioResultsShape,
+        revisions: { type: [RevisionSchema], default: [] },
+    },
+    { timestamps: true }
+);
+
+const ShareLinkSchema = new mongoose.Schema(
+    {
+        scenario: { type: ObjectId, ref: 'Scenario', required: true, index: true },
+        workspace: { type: ObjectId, ref: 'Workspace', required: true, index: true },
+        createdBy: { type: ObjectId, ref: 'User' },
+        expiresAt: Date,
+        revokedAt: Date,
+        passwordHash: String,
+        passwordSalt: String,
+        openCount: { type: Number, default: 0 },
+        opens: [{ _id: false, at: Date, userAgent: String }],
+    },
+    { timestamps: true }
+);
+
+// Leads captured by the report gate, one per normalized email in each workspace
+const LeadSchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true },
+        email: { type: String, required: true },
+        consent: { type: Boolean, default: false },
+        consentAt: Date,
+        inputs: scenarioInputsShape,
+        results: scenarioResultsShape,
+        reportCount: { type: Number, default: 0 },
+        lastReportAt: Date,
+    },
+    { timestamps: true }
+);
+LeadSchema.index({ workspace: 1, email: 1 }, { unique: true });
+
+// Versioned pricing/assumption sets. Never edited in place: publish a new version instead.
+const AssumptionSetSchema = new mongoose.Schema(
+    {
+        version: { type: Number, required: true, unique: true, immutable: true },
+        name: { type: String, immutable: true },
+        effectiveFrom: { type: Date, required: true, immutable: true },
+        pricingTiers: {
+            type: [{ _id: false, upToVolume: { type: Number, default: null }, costPerInvoice: { type: Number, required: true } }],
+            immutable: true,
+        },
+        errorRateAuto: { type: Number, required: true, immutable: true },
+        timeSavedPerInvoiceMinutes: { type: Number, required: true, immutable: true },
+        minRoiBoostFactor: { type: Number, required: true, immutable: true },
+    },
+    { timestamps: true }
+);
+
+// Queued outgoing email; attachments are kept base64-encoded until the job is sent
+const EmailJobSchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true, index: true },
+        to: { type: String, required: true },
+        template: { type: String, required: true },
+        data: { type: mongoose.Schema.Types.Mixed, default: {} },
+        attachments: [{ _id: false, filename: String, contentType: String, content: String }],
+        status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+        attempts: { type: Number, default: 0 },
+        maxAttempts: { type: Number, required: true },
+        nextAttemptAt: Date,
+        lockedAt: Date,
+        lastError: String,
+        messageId: String,
+        sentAt: Date,
+    },
+    { timestamps: true }
+);
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Outgoing webhook subscriptions; the secret signs every delivery
+const WebhookSchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true, index: true },
+        url: { type: String, required: true },
+        events: { type: [String], required: true },
+        description: String,
+        secret: { type: String, required: true },
+        active: { type: Boolean, default: true },
+        createdBy: { type: ObjectId, ref: 'User' },
+    },
+    { timestamps: true }
+);
+
+// One queued or finished delivery of an event to a webhook, with a log of every attempt
+const WebhookDeliverySchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true },
+        webhook: { type: ObjectId, ref: 'Webhook', required: true },
+        event: { type: String, required: true },
+        payload: { type: mongoose.Schema.Types.Mixed, required: true },
+        status: { type: String, enum: ['queued', 'sending', 'delivered', 'failed'], default: 'queued' },
+        attempts: { type: Number, default: 0 },
+        maxAttempts: { type: Number, required: true },
+        nextAttemptAt: Date,
+        lockedAt: Date,
+        lastError: String,
+        responseStatus: Number,
+        deliveredAt: Date,
+        redeliveryOf: { type: ObjectId, ref: 'WebhookDelivery' },
+        log: [{ _id: false, at: Date, responseStatus: Number, error: String, durationMs: Number }],
+    },
+    { timestamps: true }
+);
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Input templates saved by workspace admins; any subset of the inputs, with optional [low, high] ranges
+const PresetSchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true, index: true },
+        name: { type: String, required: true },
+        description: String,
+        industry: String,
+        size: String,
+        inputs: mongooseShape({ partial: true }),
+        ranges: { type: Map, of: [Number] },
+        createdBy: { type: ObjectId, ref: 'User' },
+    },
+    { timestamps: true }
+);
+
+// Embeddable calculator configurations. `key` is public and identifies the embed on partner sites.
+const EmbedSchema = new mongoose.Schema(
+    {
+        workspace: { type: ObjectId, ref: 'Workspace', required: true, index: true },
+        key: { type: String, required: true, unique: true },
+        name: { type: String, required: true },
+        allowedOrigins: { type: [String], default: [] },
+        theme: { _id: false, primaryColor: String, backgroundColor: String, textColor: String },
+        defaults: mongooseShape({ partial: true }),
+        hiddenFields: { type: [String], default: [] },
+        leadGate: { type: Boolean, default: true },
+        active: { type: Boolean, default: true },
+        createdBy: { type: ObjectId, ref: 'User' },
+    },
+    { timestamps: true }
+);
+
+const User = mongoose.model('User', UserSchema);
+const Workspace = mongoose.model('Workspace', WorkspaceSchema);
+const Scenario = mongoose.model('Scenario', ScenarioSchema);
+const ShareLink = mongoose.model('ShareLink', ShareLinkSchema);
+const Lead = mongoose.model('Lead', LeadSchema);
+const AssumptionSet = mongoose.model('AssumptionSet', AssumptionSetSchema);
+const EmailJob = mongoose.model('EmailJob', EmailJobSchema);
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+const Preset = mongoose.model('Preset', PresetSchema);
+const Embed = mongoose.model('Embed', EmbedSchema);
+
+const plain = doc => (doc ? doc.toObject() : null);
+
+function leadQuery(workspace, filter) {
+    const query = { workspace };
+    if (filter.email) query.email = { $regex: filter.email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (filter.consent != null) query.consent = filter.consent;
+    if (filter.from || filter.to) {
+        query.createdAt = {};
+        if (filter.from) query.createdAt.$gte = filter.from;
+        if (filter.to) query.createdAt.$lte = filter.to;
+    }
+    return query;
+}
+
+function createMongoStorage({ uri }) {
+    return {
+        name: 'mongodb',
+        isValidId: id => mongoose.isValidObjectId(id),
+
+        async connect() {
+            if (!uri) throw new Error('MONGODB_URI is not set');
+            await mongoose.connect(uri);
+        },
+
+        users: {
+            get: id => User.findById(id).lean(),
+            findByEmail: email => User.findOne({ email }).lean(),
+            listByIds: ids => User.find({ _id: { $in: ids } }).lean(),
+            create: async data => plain(await User.create(data)),
+            update: (id, fields) => User.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean(),
+        },
+
+        workspaces: {
+            get: id => Workspace.findById(id).lean(),
+            listForUser: userId => Workspace.find({ 'members.user': userId }, 'name members').lean(),
+            create: async data => plain(await Workspace.create(data)),
+            setMembers: (id, members) => Workspace.findByIdAndUpdate(id, { $set: { members } }, { new: true }).lean(),
+        },
+
+        scenarios: {
+            create: async data => plain(await Scenario.create(data)),
+            list: workspace => Scenario.find({ workspace }, 'scenarioName owner results createdAt').sort({ createdAt: -1 }).lean(),
+            findMany: (workspace, ids) => Scenario.find({ _id: { $in: ids }, workspace }).select('-revisions').lean(),
+            get: (workspace, id, { revisions = false } = {}) => Scenario.findOne({ _id: id, workspace })
+                .select(revisions ? {} : '-revisions')
+                .lean(),
+            getById: id => Scenario.findById(id).select('-revisions').lean(),
+            // Sets the current fields and appends the matching revision in one write
+            update: (workspace, id, fields, revision) => Scenario.findOneAndUpdate(
+                { _id: id, workspace },
+                { $set: fields, $push: { revisions: revision } },
+                { new: true, runValidators: true }
+            ).lean(),
+            remove: (workspace, id) => Scenario.findOneAndDelete({ _id: id, workspace }).lean(),
+        },
+
+        shareLinks: {
+            create: async data => plain(await ShareLink.create(data)),
+            get: id => ShareLink.findById(id).lean(),
+            listForScenario: (workspace, scenario) => ShareLink.find({ scenario, workspace }).sort({ createdAt: -1 }).lean(),
+            revoke: (workspace, id) => ShareLink.findOneAndUpdate(
+                { _id: id, workspace },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            ).lean(),
+            // Counts an open and keeps only the most recent `keep` entries
+            recordOpen: (id, open, keep) => ShareLink.updateOne(
+                { _id: id },
+                { $inc: { openCount: 1 }, $push: { opens: { $each: [open], $slice: -keep } } }
+            ),
+            removeForScenario: scenario => ShareLink.deleteMany({ scenario }),
+        },
+
+        leads: {
+            // Upserts the lead for (workspace, email), sets `fields` and bumps reportCount
+            capture: (workspace, email, fields) => Lead.findOneAndUpdate(
+                { workspace, email },
+                { $set: fields, $inc: { reportCount: 1 } },
+                { upsert: true, new: true }
+            ).lean(),
+            list: (workspace, filter = {}) => Lead.find(leadQuery(workspace, filter)).sort({ createdAt: -1 }).lean(),
+            remove: (workspace, id) => Lead.findOneAndDelete({ _id: id, workspace }).lean(),
+        },
+
+        assumptionSets: {
+            list: () => AssumptionSet.find().sort({ version: 1 }).lean(),
+            create: async data => plain(await AssumptionSet.create(data)),
+        },
+
+        emailJobs: {
+            create: async data => plain(await EmailJob.create(data)),
+            get: (workspace, id) => EmailJob.findOne({ _id: id, workspace }).lean(),
+            // Atomically takes the oldest due job, or one whose sender stopped before finishing
+            claimNext: (now, staleBefore) => EmailJob.findOneAndUpdate(
+                { $or: [{ status: 'queued', nextAttemptAt: { $lte: now } }, { status: 'sending', lockedAt: { $lt: staleBefore } }] },
+                { $set: { status: 'sending', lockedAt: now } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            ).lean(),
+            update: (id, fields) => EmailJob.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean(),
+        },
+
+        webhooks: {
+            create: async data => plain(await Webhook.create(data)),
+            list: workspace => Webhook.find({ workspace }).sort({ createdAt: -1 }).lean(),
+            listForEvent: (workspace, event) => Webhook.find({ workspace, active: true, events: event }).lean(),
+            get: (workspace, id) => Webhook.findOne({ _id: id, workspace }).lean(),
+            update: (workspace, id, fields) => Webhook.findOneAndUpdate(
+                { _id: id, workspace },
+                { $set: fields },
+                { new: true, runValidators: true }
+            ).lean(),
+            remove: (workspace, id) => Webhook.findOneAndDelete({ _id: id, workspace }).lean(),
+        },
+
+        presets: {
+            create: async data => plain(await Preset.create(data)),
+            list: workspace => Preset.find({ workspace }).sort({ createdAt: 1 }).lean(),
+            get: (workspace, id) => Preset.findOne({ _id: id, workspace }).lean(),
+            remove: (workspace, id) => Preset.findOneAndDelete({ _id: id, workspace }).lean(),
+        },
+
+        embeds: {
+            create: async data => plain(await Embed.create(data)),
+            list: workspace => Embed.find({ workspace }).sort({ createdAt: -1 }).lean(),
+            get: (workspace, id) => Embed.findOne({ _id: id, workspace }).lean(),
+            findByKey: key => Embed.findOne({ key }).lean(),
+            update: (workspace, id, fields) => Embed.findOneAndUpdate(
+                { _id: id, workspace },
+                { $set: fields },
+                { new: true, runValidators: true }
+            ).lean(),
+            remove: (workspace, id) => Embed.findOneAndDelete({ _id: id, workspace }).lean(),
+        },
+
+        webhookDeliveries: {
+            create: async data => plain(await WebhookDelivery.create(data)),
+            listForWebhook: (workspace, webhook, limit) => WebhookDelivery.find({ webhook, workspace })
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .lean(),
+            get: (workspace, id) => WebhookDelivery.findOne({ _id: id, workspace }).lean(),
+            // Same claim rule as emailJobs.claimNext
+            claimNext: (now, staleBefore) => WebhookDelivery.findOneAndUpdate(
+                { $or: [{ status: 'queued', nextAttemptAt: { $lte: now } }, { status: 'sending', lockedAt: { $lt: staleBefore } }] },
+                { $set: { status: 'sending', lockedAt: now } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            ).lean(),
+            // Sets `fields` and appends `logEntry` to the attempt log
+            update: (id, fields, logEntry) => WebhookDelivery.findByIdAndUpdate(
+                id,
+                logEntry ? { $set: fields, $push: { log: logEntry } } : { $set: fields },
+                { new: true }
+            ).lean(),
+            removeForWebhook: webhook => WebhookDelivery.deleteMany({ webhook }),
+        },
+    };
+}
+
+module.exports = { createMongoStorage };
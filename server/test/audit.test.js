@@ -0,0 +1,30 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultAssumptions: assumptions, simulate, reportData } = require('..');
+
+const inputs = {
+    monthly_invoice_volume: 2000,
+    num_ap_staff: 3,
+    avg_hours_per_invoice: 0.17,
+    hourly_wage: 30,
+    error_rate_manual: 0.5,
+    error_cost: 100,
+    time_horizon_months: 36,
+    one_time_implementation_cost: 50000,
+};
+
+test('every report lists the savings adjustments, with or without audit mode', () => {
+    const results = simulate(inputs, { assumptions });
+    const { adjustments } = reportData({ inputs, results, assumptions });
+    assert.deepEqual(adjustments.map(a => [a.id, a.value]), [['roi_boost_factor', 1.1], ['savings_floor', 1]]);
+});
+
+test('audit results list the same adjustments with the months they changed', () => {
+    const { audit } = simulate(inputs, { assumptions, auditMode: 'disclose' });
+    const listed = reportData({ inputs, results: {}, assumptions }).adjustments;
+    assert.deepEqual(audit.adjustments.map(({ months_affected, ...a }) => a), listed);
+    assert.deepEqual(audit.adjustments.map(a => a.months_affected), [36, 0]);
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A stand-in client build, so the widget page can be served without building the client
+const clientDist = fs.mkdtempSync(path.join(os.tmpdir(), 'roi-client-'));
+fs.writeFileSync(path.join(clientDist, 'index.html'), '<!doctype html><div id="root"></div>');
+process.env.CLIENT_DIST = clientDist;
+// The app's own origin; partner sites are not on it
+process.env.ALLOWED_ORIGINS = 'http://localhost:5173';
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('..');
+
+describe('embeds', () => {
+    const partner = 'https://partner.example.com';
+    let server;
+    let base;
+    let key;
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        const { token } = await fetch(`${base}/auth/register`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ email: 'admin@example.com', password: 'password1' }),
+        }).then(res => res.json());
+        const embed = await fetch(`${base}/embeds`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: JSON.stringify({ name: 'Partner', allowed_origins: [partner, 'https://other.example.com'] }),
+        }).then(res => res.json());
+        key = embed.key;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(clientDist, { recursive: true, force: true });
+    });
+
+    const get = (url, headers = {}) => fetch(base + url, { headers });
+
+    test('the widget page may only be framed by the allowed origins', async () => {
+        const res = await get(`/embed/${key}/frame`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-security-policy'), `frame-ancestors ${partner} https://other.example.com`);
+        assert.equal((await get('/embed/emb_unknown/frame')).status, 404);
+    });
+
+    test('a partner origin gets the config with CORS for that origin only', async () => {
+        const res = await get(`/embed/${key}`, { origin: partner });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('access-control-allow-origin'), partner);
+        assert.deepEqual((await res.json()).allowed_origins, [partner, 'https://other.example.com']);
+    });
+
+    test('other origins are refused, whatever they claim', async () => {
+        const evil = 'https://evil.example.com';
+        assert.equal((await get(`/embed/${key}`)).status, 403);
+        assert.equal((await get(`/embed/${key}`, { origin: evil })).status, 403);
+        assert.equal((await get(`/embed/${key}?origin=${encodeURIComponent(partner)}`, { origin: evil })).status, 403);
+        assert.equal((await get(`/embed/${key}`, { origin: evil, 'x-embed-origin': partner })).status, 403);
+        const preflight = await fetch(`${base}/embed/${key}/simulate`, {
+            method: 'OPTIONS',
+            headers: { origin: evil, 'access-control-request-method': 'POST' },
+        });
+        assert.equal(preflight.status, 403);
+    });
+
+    test('the widget page itself may call the API', async () => {
+        assert.equal((await get(`/embed/${key}`, { 'sec-fetch-site': 'same-origin' })).status, 200);
+        assert.equal((await get(`/embed/${key}`, { referer: `${base}/embed/${key}/frame` })).status, 200);
+    });
+
+    test('partner origins get no CORS access to the rest of the API', async () => {
+        const res = await get('/presets', { origin: partner });
+        assert.notEqual(res.headers.get('access-control-allow-origin'), partner);
+    });
+});
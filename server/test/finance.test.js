@@ -0,0 +1,135 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    defaultAssumptions: assumptions,
+    simulate,
+    buildTimeline,
+    npv,
+    irr,
+    breakEvenMonth,
+    sensitivity,
+} = require('..');
+
+// 3 × 30 × 0.17 × 2000 = 30600 labor + 1000 errors manually, 400 + 200 automated:
+// 31000 raw savings a month, 34100 with the 1.1 boost
+const inputs = {
+    monthly_invoice_volume: 2000,
+    num_ap_staff: 3,
+    avg_hours_per_invoice: 0.17,
+    hourly_wage: 30,
+    error_rate_manual: 0.5,
+    error_cost: 100,
+    time_horizon_months: 36,
+    one_time_implementation_cost: 50000,
+};
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+describe('buildTimeline', () => {
+    test('has one flat month per month of the horizon without growth or ramp-up', () => {
+        const timeline = buildTimeline(inputs, assumptions);
+        assert.equal(timeline.length, 36);
+        for (const point of timeline) close(point.savings, 34100);
+        close(timeline[35].cumulative_savings, 36 * 34100);
+        close(timeline[35].cumulative_net, 36 * 34100 - 50000);
+    });
+
+    test('ramps adoption linearly and discounts at the monthly equivalent rate', () => {
+        const timeline = buildTimeline({ ...inputs, ramp_up_months: 4, annual_discount_rate_pct: 12 }, assumptions);
+        assert.deepEqual(timeline.slice(0, 5).map(p => p.adoption), [0.25, 0.5, 0.75, 1, 1]);
+        close(timeline[0].savings, 31000 * 0.25 * 1.1);
+        close(timeline[11].discounted_savings, timeline[11].savings / 1.12);
+    });
+
+    test('keeps the cost with automation at the real, non-negative cost', () => {
+        // Adjusted savings (34100) exceed the manual cost (31600) here
+        const timeline = buildTimeline({ ...inputs, ramp_up_months: 3 }, assumptions);
+        for (const point of timeline) {
+            assert.ok(point.cost_with_automation >= 0, `month ${point.month}`);
+            assert.ok(point.cost_with_automation <= point.manual_cost, `month ${point.month}`);
+        }
+        close(timeline[0].manual_cost, 31600);
+        // 400 processing and 200 residual errors once fully adopted
+        close(timeline[5].cost_with_automation, 600);
+        close(timeline[0].cost_with_automation, 31600 * (2 / 3) + 600 / 3);
+        const raw = buildTimeline({ ...inputs, ramp_up_months: 3 }, assumptions, false);
+        for (const point of raw) close(point.cost_with_automation, point.manual_cost - point.savings);
+    });
+
+    test('leaves losses in place unless adjusted', () => {
+        const costly = { ...inputs, hourly_wage: 0.01, error_rate_manual: 0 };
+        assert.ok(buildTimeline(costly, assumptions, false)[0].savings < 0);
+        assert.equal(buildTimeline(costly, assumptions)[0].savings, 1);
+    });
+});
+
+describe('npv and irr', () => {
+    test('npv discounts each cash flow by its period', () => {
+        close(npv([-100, 110], 0.1), 0);
+        close(npv([-100, 50, 50, 50], 0), 50);
+    });
+
+    test('irr finds the rate where npv is zero', () => {
+        close(irr([-100, 110]), 0.1, 1e-9);
+        const flows = [-1000, 300, 400, 500];
+        close(npv(flows, irr(flows)), 0, 1e-6);
+    });
+
+    test('irr is null when the cash flows never change sign', () => {
+        assert.equal(irr([100, 200]), null);
+        assert.equal(irr([-100, -200]), null);
+    });
+});
+
+describe('payback and break-even', () => {
+    test('interpolate within the month cumulative savings cover the cost', () => {
+        const timeline = buildTimeline(inputs, assumptions);
+        close(breakEvenMonth(timeline, 50000), 50000 / 34100);
+        const ramped = buildTimeline({ ...inputs, ramp_up_months: 6 }, assumptions);
+        const month = breakEvenMonth(ramped, 50000);
+        assert.ok(ramped[Math.floor(month) - 1].cumulative_savings < 50000);
+        assert.ok(ramped[Math.floor(month)].cumulative_savings >= 50000);
+    });
+
+    test('are 0 without a cost and null when the horizon is too short', () => {
+        assert.equal(simulate({ ...inputs, one_time_implementation_cost: 0 }, { assumptions }).payback_months, 0);
+        const short = simulate({ ...inputs, time_horizon_months: 1 }, { assumptions });
+        assert.equal(short.payback_months, null);
+        assert.equal(short.break_even_month, null);
+    });
+
+    test('simulate reports payback from the timeline, as break_even_month', () => {
+        const results = simulate({ ...inputs, ramp_up_months: 6 }, { assumptions });
+        assert.equal(results.payback_months, results.break_even_month);
+        assert.ok(results.payback_months > 50000 / results.monthly_savings);
+        close(results.roi_percentage, (results.net_savings / 50000) * 100);
+    });
+});
+
+describe('sensitivity', () => {
+    // Pays back in month 35 of 36, so a 20% lower input never pays back
+    const tight = { ...inputs, one_time_implementation_cost: 1200000 };
+
+    test('gives no payback delta when a run never pays back', () => {
+        const { base, sensitivities } = sensitivity(tight, 20, 'payback_months', assumptions);
+        assert.ok(base.payback_months > 35);
+        const volume = sensitivities.find(row => row.field === 'monthly_invoice_volume');
+        assert.equal(volume.low.payback_months, null);
+        assert.equal(volume.low.delta.payback_months, null);
+        assert.ok(volume.high.delta.payback_months < 0);
+    });
+
+    test('ranks payback turning into never above any finite change', () => {
+        const { sensitivities } = sensitivity(tight, 20, 'payback_months', assumptions);
+        const never = sensitivities.filter(row => (row.low.payback_months == null) !== (row.high.payback_months == null));
+        assert.ok(never.length > 0);
+        assert.deepEqual(sensitivities.slice(0, never.length), never);
+        for (const row of never) assert.equal(row.impact, null);
+        for (const row of sensitivities.slice(never.length)) assert.equal(typeof row.impact, 'number');
+    });
+});
@@ -0,0 +1,42 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultAssumptions: assumptions, goalSeek } = require('..');
+
+const inputs = {
+    monthly_invoice_volume: 2000,
+    num_ap_staff: 3,
+    avg_hours_per_invoice: 0.17,
+    hourly_wage: 30,
+    error_rate_manual: 0.5,
+    error_cost: 100,
+    time_horizon_months: 36,
+    one_time_implementation_cost: 50000,
+};
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+describe('goalSeek', () => {
+    test('finds the input value that reaches the target', () => {
+        const result = goalSeek(inputs, { key: 'hourly_wage', metric: 'roi_percentage', target: 500, lo: 1, hi: 200, assumptions });
+        assert.equal(result.solved, true);
+        assert.equal(result.bound, 'minimum');
+        close(result.achieved, 500, 0.5);
+    });
+
+    test('solves lower-is-better metrics as a maximum', () => {
+        const result = goalSeek(inputs, { key: 'one_time_implementation_cost', metric: 'payback_months', target: 6, lo: 1, hi: 1e6, assumptions });
+        assert.equal(result.solved, true);
+        assert.equal(result.bound, 'maximum');
+        close(result.achieved, 6, 0.01);
+    });
+
+    test('reports targets out of reach', () => {
+        const result = goalSeek(inputs, { key: 'hourly_wage', metric: 'roi_percentage', target: 1e9, lo: 1, hi: 200, assumptions });
+        assert.deepEqual(result, { solved: false, reason: 'never_met' });
+    });
+});
@@ -0,0 +1,41 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, leadFilterError } = require('..');
+
+describe('csvCell', () => {
+    test('quotes cells with separators, quotes or line breaks', () => {
+        assert.equal(csvCell('plain'), 'plain');
+        assert.equal(csvCell('a,b'), '"a,b"');
+        assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+        assert.equal(csvCell('two\nlines'), '"two\nlines"');
+    });
+
+    test('defuses text a spreadsheet would run as a formula', () => {
+        assert.equal(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+        for (const text of ['+1', '-2+3', '@SUM(A1)', '\tx']) assert.equal(csvCell(text), `'${text}`);
+        assert.equal(csvCell('\rx'), '"\'\rx"');
+    });
+
+    test('leaves numbers, dates and empty values as they are', () => {
+        assert.equal(csvCell(-12.5), '-12.5');
+        assert.equal(csvCell(new Date(0)), '1970-01-01T00:00:00.000Z');
+        assert.equal(csvCell(null), '');
+        assert.equal(csvCell(false), 'false');
+    });
+});
+
+describe('leadFilterError', () => {
+    test('accepts valid or missing dates', () => {
+        assert.equal(leadFilterError({}), null);
+        assert.equal(leadFilterError({ from: '2024-01-01', to: '2024-12-31T23:59:59Z' }), null);
+    });
+
+    test('names the first invalid date', () => {
+        assert.equal(leadFilterError({ from: 'yesterday' }), 'from must be a valid date');
+        assert.equal(leadFilterError({ from: '2024-01-01', to: '2024-13-45' }), 'to must be a valid date');
+        assert.equal(leadFilterError({ to: ['2024-01-01', '2024-02-01'] }), 'to must be a valid date');
+    });
+});
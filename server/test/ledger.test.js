@@ -0,0 +1,51 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, deriveInputs } = require('../ledger');
+
+describe('parseCsv', () => {
+    test('handles quoted fields, escaped quotes and CRLF', () => {
+        const rows = parseCsv('date,vendor\r\n2024-01-02,"Acme, ""Inc"""\r\n');
+        assert.deepEqual(rows, [['date', 'vendor'], ['2024-01-02', 'Acme, "Inc"']]);
+    });
+
+    test('detects semicolons, strips a BOM and drops blank lines', () => {
+        const rows = parseCsv('\uFEFFdate;amount\n2024-01-02;1,50\n\n;\n');
+        assert.deepEqual(rows, [['date', 'amount'], ['2024-01-02', '1,50']]);
+    });
+});
+
+describe('deriveInputs', () => {
+    const csv = [
+        'Invoice Date,Amount,Processed By,Processing Time,Exception',
+        '2024-01-03,100,ann,12,no',
+        '2024-01-10,200,bob,18,yes',
+        '2024-02-05,150,ann,15,no',
+        '2024-02-05,150,ann,15,no',
+        '2024-03-01,-20,ann,,no',
+        'not a date,50,bob,15,no',
+    ].join('\n');
+
+    test('derives volume, staff, handling time and error rate', () => {
+        const { inputs, stats } = deriveInputs(parseCsv(csv));
+        // 2, 2 and 1 dated invoices over three months
+        assert.equal(inputs.monthly_invoice_volume, 2);
+        // 2 processors in January, 1 in February and March
+        assert.equal(inputs.num_ap_staff, 1.3);
+        assert.equal(inputs.avg_hours_per_invoice, 0.25);
+        assert.equal(inputs.error_rate_manual, 16.67);
+        assert.equal(stats.months, 3);
+        assert.equal(stats.first_month, '2024-01');
+    });
+
+    test('warns about rows it could not use', () => {
+        const codes = deriveInputs(parseCsv(csv)).warnings.map(w => w.code);
+        for (const code of ['invalid_date', 'duplicate_rows', 'negative_amount', 'missing_processing_time']) {
+            assert.ok(codes.includes(code), `no ${code} warning`);
+        }
+    });
+
+    test('reads processing time in hours when told to', () => {
+        const rows = parseCsv('date,processing time\n2024-01-01,0.5\n');
+        assert.equal(deriveInputs(rows, { processingTimeUnit: 'hours' }).inputs.avg_hours_per_invoice, 0.5);
+    });
+});
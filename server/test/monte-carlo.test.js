@@ -0,0 +1,57 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultAssumptions: assumptions, simulate, monteCarlo } = require('..');
+
+const inputs = {
+    monthly_invoice_volume: 2000,
+    num_ap_staff: 3,
+    avg_hours_per_invoice: 0.17,
+    hourly_wage: 30,
+    error_rate_manual: 0.5,
+    error_cost: 100,
+    time_horizon_months: 36,
+    one_time_implementation_cost: 50000,
+};
+
+describe('monteCarlo', () => {
+    const body = {
+        ...inputs,
+        monthly_invoice_volume: { type: 'triangular', min: 1000, likely: 2000, max: 4000 },
+        hourly_wage: { type: 'normal', mean: 30, sd: 5 },
+    };
+    const run = seed => monteCarlo(body, { iterations: 500, seed, bins: 10, assumptions });
+
+    test('is reproducible for a seed', () => {
+        assert.deepEqual(run(42), run(42));
+        assert.notDeepEqual(run(42).results, run(43).results);
+    });
+
+    test('summarizes every sample', () => {
+        const { results } = run(1);
+        for (const summary of Object.values(results)) {
+            assert.ok(summary.p10 <= summary.p50 && summary.p50 <= summary.p90);
+            assert.equal(summary.histogram.reduce((sum, bin) => sum + bin.count, 0), 500);
+            assert.equal(summary.null_share, 0);
+        }
+    });
+
+    test('matches simulate when nothing is uncertain', () => {
+        const { results } = monteCarlo(inputs, { iterations: 100, seed: 1, bins: 5, assumptions });
+        const expected = simulate(inputs, { assumptions });
+        for (const key of ['monthly_savings', 'roi_percentage', 'payback_months']) {
+            assert.equal(results[key].p10, expected[key]);
+            assert.equal(results[key].p90, expected[key]);
+        }
+    });
+
+    test('leaves samples that never pay back out of the statistics', () => {
+        const short = { ...body, time_horizon_months: 1, one_time_implementation_cost: 1e7 };
+        const { results } = monteCarlo(short, { iterations: 100, seed: 1, bins: 5, assumptions });
+        assert.equal(results.payback_months.null_share, 1);
+        assert.equal(results.payback_months.p50, null);
+        assert.deepEqual(results.payback_months.histogram, []);
+    });
+});
@@ -0,0 +1,23 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { reportEmailData } = require('..');
+const { renderTemplate } = require('../mailer');
+
+const inputs = { time_horizon_months: 36, currency: 'USD', locale: 'en-US' };
+const results = { monthly_savings: 34100, cumulative_savings: 1227600, roi_percentage: 2.3, payback_months: 35.19 };
+
+test('report emails give payback in months', () => {
+    const { text, html } = renderTemplate('report-email', reportEmailData('a@example.com', inputs, { ...results }));
+    assert.match(text, /Payback: 35\.19 months\n/);
+    assert.match(html, />35\.19 months</);
+});
+
+test('report emails say when payback never happens', () => {
+    const { text, html } = renderTemplate('report-email', reportEmailData('a@example.com', inputs, { ...results, payback_months: null }));
+    assert.match(text, /Payback: Never\n/);
+    assert.match(html, />Never</);
+    assert.doesNotMatch(text + html, /Never months/);
+});
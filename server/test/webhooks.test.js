@@ -0,0 +1,91 @@
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = 'test';
+delete process.env.WEBHOOK_ALLOW_PRIVATE;
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { app } = require('..');
+const { signPayload, isPublicAddress, checkPublicHost } = require('../webhooks');
+
+describe('signPayload', () => {
+    test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        const body = JSON.stringify({ event: 'scenario.created' });
+        const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+        assert.equal(signPayload('whsec_test', body, 1700000000), `t=1700000000,v1=${expected}`);
+    });
+
+    test('changes with the secret, body and timestamp', () => {
+        const base = signPayload('a', '{}', 1);
+        assert.notEqual(signPayload('b', '{}', 1), base);
+        assert.notEqual(signPayload('a', '{ }', 1), base);
+        assert.notEqual(signPayload('a', '{}', 2), base);
+    });
+});
+
+describe('isPublicAddress', () => {
+    test('refuses loopback, private, link-local and reserved addresses', () => {
+        const blocked = [
+            '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+            '224.0.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1',
+        ];
+        for (const address of blocked) assert.equal(isPublicAddress(address), false, address);
+    });
+
+    test('accepts public addresses and rejects non-addresses', () => {
+        for (const address of ['93.184.215.14', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+            assert.equal(isPublicAddress(address), true, address);
+        }
+        assert.equal(isPublicAddress('example.com'), false);
+    });
+});
+
+describe('checkPublicHost', () => {
+    test('checks IP literals in any notation and names that resolve locally', async () => {
+        for (const url of ['http://127.0.0.1/', 'http://[::1]/', 'http://0x7f.1/', 'http://2130706433/', 'http://localhost/']) {
+            assert.equal(await checkPublicHost(url), false, url);
+        }
+        assert.equal(await checkPublicHost('https://93.184.215.14/hook'), true);
+    });
+});
+
+describe('POST /webhooks', () => {
+    let server;
+    let base;
+    let token;
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        const res = await fetch(`${base}/auth/register`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ email: 'admin@example.com', password: 'password1' }),
+        });
+        ({ token } = await res.json());
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const register = url => fetch(`${base}/webhooks`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+        body: JSON.stringify({ url, events: ['scenario.created'] }),
+    });
+
+    test('refuses URLs that point at the server\'s own network', async () => {
+        for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest', 'http://[::ffff:10.0.0.1]/']) {
+            const res = await register(url);
+            assert.equal(res.status, 400, url);
+            assert.ok((await res.json()).error);
+        }
+    });
+
+    test('accepts a public address', async () => {
+        assert.equal((await register('https://93.184.215.14/hook')).status, 201);
+    });
+});
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const express = require('express');
+const { storage } = require('./storage');
+const { requireRole } = require('./auth');
+
+// Outgoing webhooks. emitEvent() queues one delivery per matching subscription and a
+// worker POSTs them, retrying with exponential backoff. Every attempt is logged on the
+// delivery, and admins can redeliver any of them.
+
+const webhookEvents = ['scenario.created', 'scenario.deleted', 'report.generated'];
+
+const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const retryBaseMs = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const pollMs = Number(process.env.WEBHOOK_POLL_MS) || 5000;
+const requestTimeoutMs = 10 * 1000;
+const staleMs = 10 * 60 * 1000;
+// Deliveries returned by the log endpoint
+const deliveriesListed = 50;
+
+// Local development only: lets webhooks reach localhost and private networks
+const allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges. IPv4 rules
+// also match IPv4-mapped IPv6 addresses.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return allowPrivate || !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const notPublic = hostname => new Error(`${hostname} is not a public address`);
+
+// dns.lookup that refuses non-public addresses. Deliveries connect through it, so the
+// address checked is the one connected to and DNS rebinding cannot slip past the check.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!addresses.length || !addresses.every(a => isPublicAddress(a.address))) return callback(notPublic(hostname));
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Registration-time check of a webhook URL's host; deliveries check again as they connect
+async function checkPublicHost(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) return isPublicAddress(hostname);
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        return addresses.length > 0 && addresses.every(a => isPublicAddress(a.address));
+    } catch (_e) {
+        return false;
+    }
+}
+
+// POSTs without following redirects and resolves with the status code
+function postJson(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+        // IP literals never reach the lookup
+        if (net.isIP(hostname) && !isPublicAddress(hostname)) return reject(notPublic(hostname));
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+        }, res => {
+            clearTimeout(timer);
+            res.resume();
+            resolve(res.statusCode);
+        });
+        const timer = setTimeout(() => req.destroy(new Error('Request timed out')), requestTimeoutMs);
+        req.on('error', e => {
+            clearTimeout(timer);
+            reject(e);
+        });
+        req.end(body);
+    });
+}
+
+// 30s, 1m, 2m, 4m... with the default base
+const retryDelay = attempts => retryBaseMs * Math.pow(2, attempts - 1);
+
+// Stripe-style signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+async function deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+    try {
+        const webhook = await storage.webhooks.get(delivery.workspace, delivery.webhook);
+        if (!webhook) throw new Error('Webhook was deleted');
+        const body = JSON.stringify(delivery.payload);
+        responseStatus = await postJson(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'roi-simulator-webhooks',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery._id),
+            'X-Webhook-Signature': signPayload(webhook.secret, body),
+        }, body);
+        // Redirects are not followed, so a 3xx counts as a failure
+        if (responseStatus < 200 || responseStatus >= 300) error = `HTTP ${responseStatus}`;
+    } catch (e) {
+        error = e.message;
+    }
+
+    const logEntry = { at: new Date(started), responseStatus, error, durationMs: Date.now() - started };
+    if (!error) {
+        await storage.webhookDeliveries.update(delivery._id, {
+            status: 'delivered', attempts, responseStatus, deliveredAt: new Date(), lastError: null, nextAttemptAt: null,
+        }, logEntry);
+        return;
+    }
+    const failed = attempts >= delivery.maxAttempts;
+    await storage.webhookDeliveries.update(delivery._id, {
+        status: failed ? 'failed' : 'queued',
+        attempts,
+        responseStatus,
+        lastError: error,
+        nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts)),
+    }, logEntry);
+}
+
+let running = false;
+
+// Sends every due delivery, one at a time; overlapping calls are no-ops
+async function processDeliveries() {
+    if (running) return;
+    running = true;
+    try {
+        let delivery;
+        while ((delivery = await storage.webhookDeliveries.claimNext(new Date(), new Date(Date.now() - staleMs)))) {
+            await deliver(delivery);
+        }
+    } catch (e) {
+        console.error('Webhook worker error:', e.message);
+    } finally {
+        running = false;
+    }
+}
+
+function queueDelivery(webhook, event, payload, redeliveryOf) {
+    const fields = {
+        workspace: webhook.workspace,
+        webhook: webhook._id,
+        event,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts,
+        nextAttemptAt: new Date(),
+    };
+    if (redeliveryOf) fields.redeliveryOf = redeliveryOf;
+    return storage.webhookDeliveries.create(fields);
+}
+
+// Queues `event` for every active subscription in the workspace. Never throws, so a
+// webhook problem cannot fail the request that triggered it.
+async function emitEvent(workspace, event, data) {
+    try {
+        const webhooks = await storage.webhooks.listForEvent(workspace, event);
+        if (!webhooks.length) return;
+        const payload = {
+            id: crypto.randomUUID(),
+            type: event,
+            created_at: new Date().toISOString(),
+            workspace_id: String(workspace),
+            data,
+        };
+        await Promise.all(webhooks.map(w => queueDelivery(w, event, payload)));
+        setImmediate(processDeliveries);
+    } catch (e) {
+        console.error(`Failed to queue ${event} webhooks:`, e.message);
+    }
+}
+
+function startWebhookWorker() {
+    setInterval(processDeliveries, pollMs).unref();
+    processDeliveries();
+}
+
+// The secret is only returned when the webhook is created
+function publicWebhook(webhook) {
+    return {
+        id: String(webhook._id),
+        url: webhook.url,
+        events: webhook.events,
+        description: webhook.description || null,
+        active: webhook.active,
+        created_at: webhook.createdAt,
+        updated_at: webhook.updatedAt,
+    };
+}
+
+function publicDelivery(delivery) {
+    return {
+        id: String(delivery._id),
+        webhook: String(delivery.webhook),
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        max_attempts: delivery.maxAttempts,
+        next_attempt_at: delivery.status === 'queued' ? delivery.nextAttemptAt : null,
+        response_status: delivery.responseStatus ?? null,
+        last_error: delivery.lastError || null,
+        delivered_at: delivery.deliveredAt || null,
+        redelivery_of: delivery.redeliveryOf ? String(delivery.redeliveryOf) : null,
+        payload: delivery.payload,
+        log: delivery.log.map(l => ({ at: l.at, response_status: l.responseStatus ?? null, error: l.error || null, duration_ms: l.durationMs })),
+        created_at: delivery.createdAt,
+    };
+}
+
+function validUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (_e) {
+        return false;
+    }
+}
+
+const publicUrlError = 'url must resolve to a public address, not localhost or a private network';
+
+// Checks the writable fields of a webhook; `partial` allows leaving any of them out
+function webhookFields(body, partial) {
+    const { url, events, description, active } = body || {};
+    const fields = {};
+    if (url !== undefined || !partial) {
+        if (typeof url !== 'string' || !validUrl(url)) return { error: 'url must be an http(s) URL' };
+        fields.url = url;
+    }
+    if (events !== undefined || !partial) {
+        if (!Array.isArray(events) || !events.length || events.some(e => !webhookEvents.includes(e))) {
+            return { error: `events must be a non-empty list of ${webhookEvents.join(', ')}` };
+        }
+        fields.events = [...new Set(events)];
+    }
+    if (description != null) {
+        if (typeof description !== 'string') return { error: 'description must be a string' };
+        fields.description = description;
+    }
+    if (active != null) {
+        if (typeof active !== 'boolean') return { error: 'active must be a boolean' };
+        fields.active = active;
+    }
+    return { fields };
+}
+
+const router = express.Router();
+
+// Subscriptions belong to the workspace selected by x-workspace-id and are managed by its admins
+router.get('/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const webhooks = await storage.webhooks.list(req.workspace._id);
+        return res.json({ events: webhookEvents, webhooks: webhooks.map(publicWebhook) });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+router.post('/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const { fields, error } = webhookFields(req.body, false);
+        if (error) return res.status(400).json({ error });
+        if (!(await checkPublicHost(fields.url))) return res.status(400).json({ error: publicUrlError });
+        const webhook = await storage.webhooks.create({
+            active: true,
+            ...fields,
+            workspace: req.workspace._id,
+            createdBy: req.user._id,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        });
+        return res.status(201).json({ ...publicWebhook(webhook), secret: webhook.secret });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+router.patch('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const { fields, error } = webhookFields(req.body, true);
+        if (error) return res.status(400).json({ error });
+        if (fields.url && !(await checkPublicHost(fields.url))) return res.status(400).json({ error: publicUrlError });
+        const webhook = await storage.webhooks.update(req.workspace._id, req.params.id, fields);
+        if (!webhook) return res.status(404).json({ error: 'Not found' });
+        return res.json(publicWebhook(webhook));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+router.delete('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const webhook = await storage.webhooks.remove(req.workspace._id, req.params.id);
+        if (!webhook) return res.status(404).json({ error: 'Not found' });
+        await storage.webhookDeliveries.removeForWebhook(webhook._id);
+        return res.json({ ok: true });
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Delivery log, newest first
+router.get('/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+        const webhook = await storage.webhooks.get(req.workspace._id, req.params.id);
+        if (!webhook) return res.status(404).json({ error: 'Not found' });
+        const deliveries = await storage.webhookDeliveries.listForWebhook(req.workspace._id, webhook._id, deliveriesListed);
+        return res.json(deliveries.map(publicDelivery));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to list deliveries' });
+    }
+});
+
+// Sends the same payload again as a new delivery; receivers can dedupe on payload.id
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+        if (!storage.isValidId(req.params.id) || !storage.isValidId(req.params.deliveryId)) {
+            return res.status(400).json({ error: 'Invalid id' });
+        }
+        const webhook = await storage.webhooks.get(req.workspace._id, req.params.id);
+        const original = webhook ? await storage.webhookDeliveries.get(req.workspace._id, req.params.deliveryId) : null;
+        if (!original || String(original.webhook) !== String(webhook._id)) return res.status(404).json({ error: 'Not found' });
+        const delivery = await queueDelivery(webhook, original.event, original.payload, original._id);
+        setImmediate(processDeliveries);
+        return res.status(202).json(publicDelivery(delivery));
+    } catch (e) {
+        return res.status(500).json({ error: 'Failed to redeliver' });
+    }
+});
+
+module.exports = {
+    router,
+    emitEvent,
+    processDeliveries,
+    signPayload,
+    isPublicAddress,
+    checkPublicHost,
+    startWebhookWorker,
+    webhookEvents,
+};